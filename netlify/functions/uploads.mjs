@@ -10,7 +10,17 @@
 //
 // Exposed at /api/uploads via the redirect in netlify.toml.
 //   GET  -> list stored files
-//   POST { name, contentBase64 } -> create / overwrite a CSV
+//   POST { name, contentBase64, mapping? } -> create / overwrite a CSV
+//        (mapping, from the upload wizard, is stored as <name>.mapping.json)
+//        The CSV is parsed and validated first; an unusable file gets a 422
+//        with a row-level validation report and is not committed.
+
+import { validateSupplyCsv } from "../../src/utils/csvValidation.js";
+import { setCountryScope } from "../../src/utils/countries.js";
+import countriesConfig from "../../public/data/countries.json";
+
+// Country names/codes accepted in uploads — the same file the app loads
+setCountryScope(countriesConfig);
 
 const OWNER = process.env.GH_OWNER || "akshaymadapura11";
 const REPO = process.env.GH_REPO || "P2G_2.1";
@@ -20,6 +30,7 @@ const TOKEN = process.env.GITHUB_TOKEN;
 const PASSCODE = process.env.UPLOAD_PASSCODE || "";
 
 const MAX_BYTES = 4 * 1024 * 1024; // ~4 MB raw file cap
+const MAX_MAPPING_BYTES = 16 * 1024;
 
 function json(status, data) {
   return new Response(JSON.stringify(data), {
@@ -51,12 +62,50 @@ async function ghError(r) {
   return `GitHub API ${r.status}${detail ? `: ${detail}` : ""}`;
 }
 
+// Decode the upload as UTF-8 text; null for binary / non-UTF-8 content.
+function decodeCsvText(contentBase64) {
+  const bytes = Buffer.from(contentBase64, "base64");
+  if (bytes.includes(0)) return null;
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
 function sanitizeFilename(name) {
   const base = String(name || "upload.csv").split(/[\\/]/).pop();
   const clean = base.replace(/[^A-Za-z0-9._ ()-]/g, "_").trim();
   return clean || "upload.csv";
 }
 
+// Create or overwrite one file in the repo. Returns the GitHub "content" object
+// plus whether an existing file was replaced; throws a ready-to-send Response on error.
+async function putFile(path, contentBase64, label) {
+  // Need the current sha to overwrite an existing file.
+  let sha = null;
+  const head = await fetch(`${contentsUrl(path)}?ref=${BRANCH}`, { headers: ghHeaders() });
+  if (head.ok) {
+    sha = (await head.json())?.sha || null;
+  } else if (head.status !== 404) {
+    throw json(head.status, { error: await ghError(head) });
+  }
+
+  const put = await fetch(contentsUrl(path), {
+    method: "PUT",
+    headers: { ...ghHeaders(), "Content-Type": "application/json" },
+    body: JSON.stringify({
+      message: `${sha ? "Update" : "Add"} ${label}`,
+      content: contentBase64,
+      branch: BRANCH,
+      ...(sha ? { sha } : {}),
+    }),
+  });
+  if (!put.ok) throw json(put.status, { error: await ghError(put) });
+  const pj = await put.json();
+  return { content: pj?.content || {}, overwrote: !!sha };
+}
+
 export default async (req) => {
   if (!TOKEN) {
     return json(500, { error: "Server is missing the GITHUB_TOKEN environment variable." });
@@ -115,36 +164,51 @@ export default async (req) => {
         return json(413, { error: "File too large (max ~4 MB)." });
       }
 
-      const path = `${FOLDER}/${name}`;
+      let mappingJson = null;
+      if (body.mapping != null) {
+        if (typeof body.mapping !== "object" || Array.isArray(body.mapping)) {
+          return json(400, { error: "Column mapping must be a JSON object." });
+        }
+        mappingJson = JSON.stringify(body.mapping, null, 2);
+        if (mappingJson.length > MAX_MAPPING_BYTES) {
+          return json(413, { error: "Column mapping too large." });
+        }
+      }
 
-      // Need the current sha to overwrite an existing file.
-      let sha = null;
-      const head = await fetch(`${contentsUrl(path)}?ref=${BRANCH}`, { headers: ghHeaders() });
-      if (head.ok) {
-        sha = (await head.json())?.sha || null;
-      } else if (head.status !== 404) {
-        return json(head.status, { error: await ghError(head) });
+      const text = decodeCsvText(contentBase64);
+      if (text == null) {
+        return json(422, { error: "File is not UTF-8 text (binary or wrong encoding?)." });
+      }
+      const report = validateSupplyCsv(text, body.mapping || null);
+      if (!report.usable) {
+        return json(422, { error: report.error || "File failed validation.", report });
       }
 
-      const put = await fetch(contentsUrl(path), {
-        method: "PUT",
-        headers: { ...ghHeaders(), "Content-Type": "application/json" },
-        body: JSON.stringify({
-          message: `${sha ? "Update" : "Add"} uploaded dataset ${name}`,
-          content: contentBase64,
-          branch: BRANCH,
-          ...(sha ? { sha } : {}),
-        }),
-      });
-      if (!put.ok) return json(put.status, { error: await ghError(put) });
-      const pj = await put.json();
-      return json(200, {
-        name,
-        path,
-        overwrote: !!sha,
-        downloadUrl: pj?.content?.download_url || "",
-        htmlUrl: pj?.content?.html_url || "",
-      });
+      const path = `${FOLDER}/${name}`;
+      const mappingPath = `${path}.mapping.json`;
+
+      try {
+        const csv = await putFile(path, contentBase64, `uploaded dataset ${name}`);
+        if (mappingJson) {
+          await putFile(
+            mappingPath,
+            Buffer.from(mappingJson, "utf8").toString("base64"),
+            `column mapping for ${name}`
+          );
+        }
+        return json(200, {
+          name,
+          path,
+          overwrote: csv.overwrote,
+          downloadUrl: csv.content.download_url || "",
+          htmlUrl: csv.content.html_url || "",
+          mappingPath: mappingJson ? mappingPath : "",
+          report,
+        });
+      } catch (e) {
+        if (e instanceof Response) return e;
+        throw e;
+      }
     }
 
     return json(405, { error: "Method not allowed" });
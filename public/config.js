@@ -0,0 +1,10 @@
+// Runtime configuration (read by src/utils/runtimeConfig.js).
+// Edit this file on the deployed site to change settings without rebuilding;
+// anything left out falls back to the VITE_* build variables / defaults.
+window.__P2G_CONFIG__ = {
+  // overpassEndpoints: ["https://overpass.example.org/api/interpreter"],
+  // landuseSource: "overpass", // "overpass" | "snapshot" | "auto"
+  // snapshotBaseUrl: "/",
+  // countries: ["France", "Italy", "Hungary", "Greece", "Germany"], // replaces `enabled` of data/countries.json
+  // pilots: ["baltic", "north-german-plain", "axarquia"], // P2GreeN pilot regions (data/countries.json)
+};
@@ -0,0 +1,212 @@
+// scripts/build-nuts2-boundaries.mjs
+//
+// Writes public/data/nuts2.geojson: one (Multi)Polygon per NUTS-2 region of
+// the countries in scope (public/data/countries.json: the enabled ones plus
+// every pilot preset's), with properties { nuts2_id, name, country,
+// approximate }. The map draws it as the province outline and uses it for
+// the "whole province" demand mode; the region index uses it to place rows
+// that only have coordinates. Names come from public/data/nuts2_regions.json.
+//
+//   npm run build:nuts2 -- --gisco NUTS_RG_10M_2021_4326_LEVL_2.geojson
+//   npm run build:nuts2
+//
+// With --gisco the official Eurostat/GISCO boundaries are used (download the
+// NUTS level-2 GeoJSON in EPSG:4326 from the GISCO website). Without it the
+// regions are *approximated* offline: Voronoi cells around the WTPs of
+// public/data/wtp_all.csv, merged per nuts2_id and clipped to the Natural
+// Earth country outline (world-atlas). Good enough for an outline and a
+// region-wide Overpass query; use the GISCO file for exact borders.
+//
+// --tolerance <deg> simplification tolerance (default 0.005 ≈ 500 m).
+//
+// Regions of nuts2_regions.json (in scope) that end up without an outline are
+// listed at the end — offline that is every region without a WTP (e.g. ES64,
+// Melilla); with --gisco it points at a wrong or outdated NUTS file.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Papa from "papaparse";
+import { feature as topoFeature } from "topojson-client";
+import {
+  bbox as turfBbox,
+  featureCollection,
+  intersect,
+  point,
+  simplify,
+  truncate,
+  union,
+  voronoi,
+} from "@turf/turf";
+
+import { normalizeCountry, scopeCandidateCountries, setCountryScope } from "../src/utils/countries.js";
+import { COUNTRIES_CONFIG_URL, NUTS2_REGIONS_URL } from "../src/utils/data.js";
+import { getNuts2Regions, nuts2Region, resolveNuts2, setNuts2Regions } from "../src/utils/nuts2Regions.js";
+import { normalizeProvinceName } from "../src/utils/provinces.js";
+import { parseLatLon } from "../src/utils/csvRows.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const OUT = path.join(ROOT, "public", "data", "nuts2.geojson");
+
+function parseArgs(argv) {
+  const args = { gisco: null, tolerance: 0.005 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--gisco") args.gisco = argv[++i];
+    else if (argv[i] === "--tolerance") args.tolerance = Number(argv[++i]);
+  }
+  return args;
+}
+
+function tidy(f, tolerance) {
+  let g = f;
+  if (tolerance > 0) {
+    try {
+      g = simplify(g, { tolerance, highQuality: false });
+    } catch {
+      g = f; // simplification collapsed a ring — keep full detail
+    }
+  }
+  return truncate(g, { precision: 4, coordinates: 2 });
+}
+
+/* ---------------- official boundaries ---------------- */
+
+async function fromGisco(file, tolerance) {
+  const covered = scopeCandidateCountries();
+  const gj = JSON.parse(await fs.readFile(path.resolve(file), "utf8"));
+  const out = [];
+  for (const f of gj.features || []) {
+    const p = f.properties || {};
+    if (Number(p.LEVL_CODE ?? 2) !== 2) continue;
+    const country = normalizeCountry(p.CNTR_CODE);
+    if (!covered.has(country)) continue;
+    out.push(
+      tidy(
+        {
+          type: "Feature",
+          properties: {
+            nuts2_id: p.NUTS_ID,
+            name: nuts2Region(p.NUTS_ID)?.name || normalizeProvinceName(p.NAME_LATN || p.NUTS_NAME) || p.NUTS_ID,
+            country,
+            approximate: false,
+          },
+          geometry: f.geometry,
+        },
+        tolerance
+      )
+    );
+  }
+  return out;
+}
+
+/* ---------------- approximation from WTP points ---------------- */
+
+async function wtpPointsByCountry() {
+  const text = await fs.readFile(path.join(ROOT, "public", "data", "wtp_all.csv"), "utf8");
+  const rows = Papa.parse(text, { header: true, skipEmptyLines: true }).data;
+  const covered = scopeCandidateCountries();
+
+  const byCountry = new Map(); // country -> Map("lon,lat" -> { lon, lat, id })
+  const names = new Map(); // nuts2_id -> Map(name -> count)
+
+  for (const r of rows) {
+    // nuts2_id, else the province name / alias (no outlines yet — they are built here)
+    const id = resolveNuts2(r, normalizeCountry(r.country));
+    const country = nuts2Region(id)?.country || normalizeCountry(r.country);
+    if (!covered.has(country) || !id) continue;
+    const { lat, lon } = parseLatLon(r);
+    if (lat == null || lon == null) continue;
+
+    if (!byCountry.has(country)) byCountry.set(country, new Map());
+    byCountry.get(country).set(`${lon},${lat}`, { lon, lat, id });
+
+    const name = normalizeProvinceName(r.province);
+    if (!names.has(id)) names.set(id, new Map());
+    names.get(id).set(name, (names.get(id).get(name) || 0) + 1);
+  }
+
+  const nameOf = (id) =>
+    nuts2Region(id)?.name || [...(names.get(id) || new Map())].sort((a, b) => b[1] - a[1])[0]?.[0] || id;
+  return { byCountry, nameOf };
+}
+
+async function countryOutlines() {
+  const file = path.join(ROOT, "node_modules", "world-atlas", "countries-10m.json");
+  const topo = JSON.parse(await fs.readFile(file, "utf8"));
+  const fc = topoFeature(topo, topo.objects.countries);
+  return new Map(fc.features.map((f) => [f.properties.name, f]));
+}
+
+async function approximate(tolerance) {
+  const { byCountry, nameOf } = await wtpPointsByCountry();
+  const outlines = await countryOutlines();
+  const out = [];
+
+  for (const [country, pts] of byCountry) {
+    const outline = outlines.get(country);
+    if (!outline) {
+      console.warn(`No outline for ${country} in world-atlas — skipped`);
+      continue;
+    }
+
+    const [w, s, e, n] = turfBbox(outline);
+    const points = featureCollection([...pts.values()].map((p) => point([p.lon, p.lat], { id: p.id })));
+    const cells = voronoi(points, { bbox: [w - 1, s - 1, e + 1, n + 1] });
+
+    const cellsById = new Map();
+    cells.features.forEach((cell, i) => {
+      if (!cell) return;
+      const id = points.features[i].properties.id;
+      if (!cellsById.has(id)) cellsById.set(id, []);
+      cellsById.get(id).push(cell);
+    });
+
+    for (const [id, list] of [...cellsById].sort((a, b) => a[0].localeCompare(b[0]))) {
+      const merged = list.length === 1 ? list[0] : union(featureCollection(list));
+      const clipped = merged && intersect(featureCollection([merged, outline]));
+      if (!clipped) continue;
+      clipped.properties = { nuts2_id: id, name: nameOf(id), country, approximate: true };
+      out.push(tidy(clipped, tolerance));
+      console.log(`  ${id} ${nameOf(id)} (${list.length} WTPs)`);
+    }
+  }
+
+  return out;
+}
+
+/* nuts2_ids of the in-scope region table that `features` has no outline for */
+function missingRegions(features) {
+  const covered = scopeCandidateCountries();
+  const have = new Set(features.map((f) => f.properties.nuts2_id));
+  return Object.entries(getNuts2Regions().regions)
+    .filter(([id, r]) => covered.has(normalizeCountry(r.country)) && !have.has(id))
+    .map(([id, r]) => `${id} ${r.name}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  setCountryScope(JSON.parse(await fs.readFile(path.join(ROOT, "public", COUNTRIES_CONFIG_URL), "utf8")));
+  setNuts2Regions(JSON.parse(await fs.readFile(path.join(ROOT, "public", NUTS2_REGIONS_URL), "utf8")));
+  const features = args.gisco ? await fromGisco(args.gisco, args.tolerance) : await approximate(args.tolerance);
+
+  if (!features.length) {
+    console.error("No NUTS-2 regions produced");
+    process.exit(1);
+  }
+
+  const fc = {
+    type: "FeatureCollection",
+    source: args.gisco ? `GISCO ${path.basename(args.gisco)}` : "approximated from WTP locations (Voronoi) + Natural Earth",
+    features,
+  };
+  await fs.writeFile(OUT, JSON.stringify(fc));
+  console.log(`Wrote ${features.length} regions to ${path.relative(ROOT, OUT)}`);
+
+  const missing = missingRegions(features);
+  if (missing.length) console.warn(`No outline for ${missing.length} region(s):\n  ${missing.join("\n  ")}`);
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exit(1);
+});
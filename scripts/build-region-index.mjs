@@ -0,0 +1,99 @@
+// scripts/build-region-index.mjs
+//
+// Writes public/data/region_index.json: countries -> provinces with the
+// facility count and kg N/P of every dataset (see src/utils/regionIndex.js).
+// The Splash and Compare pages load this instead of the WTP CSV + every
+// dataset CSV listed in public/data/datasets.json, with the manifest's
+// facility lists merged into their layers. It covers the countries of
+// public/data/countries.json (enabled + pilot presets); rows are keyed by
+// NUTS-2 code via nuts2_regions.json and, for rows with coordinates only,
+// the outlines of nuts2.geojson.
+//
+//   npm run build:index
+//
+// Vite runs it too (vite.config.js): once at dev-server start / build, and
+// again whenever a CSV in public/data or the manifest changes while
+// `npm run dev` is running.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Papa from "papaparse";
+
+import {
+  COUNTRIES_CONFIG_URL,
+  DATASETS_MANIFEST_URL,
+  NUTS2_BOUNDARIES_URL,
+  NUTS2_REGIONS_URL,
+} from "../src/utils/data.js";
+import { setCountryScope } from "../src/utils/countries.js";
+import { setNuts2Outlines, setNuts2Regions } from "../src/utils/nuts2Regions.js";
+import { parseDatasetManifest } from "../src/utils/datasetRegistry.js";
+import { buildRegionIndex } from "../src/utils/regionIndex.js";
+import { facilityListRows, withListedSites } from "../src/utils/facilityLists.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC = path.join(ROOT, "public");
+const OUT = path.join(PUBLIC, "data", "region_index.json");
+
+async function readJson(url) {
+  return JSON.parse(await fs.readFile(path.join(PUBLIC, url), "utf8"));
+}
+
+async function readCsv(url) {
+  const text = await fs.readFile(path.join(PUBLIC, url), "utf8");
+  return Papa.parse(text, { header: true, skipEmptyLines: true }).data.filter((r) => r && Object.keys(r).length);
+}
+
+/**
+ * Rebuilds the index. Resolves with { changed, regions } — the file is only
+ * rewritten when its content changes.
+ */
+export async function writeRegionIndex() {
+  setCountryScope(await readJson(COUNTRIES_CONFIG_URL));
+  setNuts2Regions(await readJson(NUTS2_REGIONS_URL));
+  setNuts2Outlines(await readJson(NUTS2_BOUNDARIES_URL).catch(() => null));
+
+  const manifest = parseDatasetManifest(await readJson(DATASETS_MANIFEST_URL));
+  const wtpRows = await readCsv(manifest.wtp.url);
+
+  const listed = {};
+  for (const l of manifest.facilityLists) {
+    try {
+      facilityListRows(await readCsv(l.url), l, listed);
+    } catch (e) {
+      console.warn(`region index: skipped facility list ${l.key} (${e.code || e.message})`);
+    }
+  }
+
+  const datasets = [];
+  for (const d of manifest.datasets) {
+    try {
+      const rows = withListedSites(await readCsv(d.url), listed[d.key]);
+      datasets.push({ key: d.key, label: d.label, columns: d.columns, rows });
+    } catch (e) {
+      console.warn(`region index: skipped ${d.key} (${e.code || e.message})`);
+    }
+  }
+
+  const index = buildRegionIndex({ wtpRows, wtpColumns: manifest.wtp.columns, datasets });
+  const json = JSON.stringify(index);
+  const regions = Object.keys(index.regions).length;
+
+  const before = await fs.readFile(OUT, "utf8").catch(() => "");
+  if (before === json) return { changed: false, regions };
+
+  await fs.writeFile(OUT, json);
+  return { changed: true, regions };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  writeRegionIndex()
+    .then(({ changed, regions }) =>
+      console.log(`${changed ? "Wrote" : "Unchanged:"} ${regions} provinces in ${path.relative(ROOT, OUT)}`)
+    )
+    .catch((e) => {
+      console.error(e?.message || e);
+      process.exit(1);
+    });
+}
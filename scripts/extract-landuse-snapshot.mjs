@@ -0,0 +1,139 @@
+// scripts/extract-landuse-snapshot.mjs
+//
+// Pre-extracts the landuse polygons of one province from Overpass into
+// public/landuse/<country>/<province>.geojson, so the map can run with
+// landuseSource "snapshot" (air-gapped workshops, tests without network).
+//
+//   npm run snapshot:landuse -- Italy Campania
+//   npm run snapshot:landuse -- ITF3
+//   npm run snapshot:landuse -- Greece Attica --pad-km 5
+//   npm run snapshot:landuse -- Italy Campania --bbox 40.0,13.7,41.5,15.8
+//
+// The province is a NUTS-2 code or a name / alias of public/data/nuts2_regions.json;
+// the file is named after the region's canonical name (as the map looks it up).
+// Without --bbox the area is the bounding box of the province's WTPs and
+// extra-dataset points, padded by --pad-km (default 10 km, ≥ the largest
+// demand radius you want to analyse).
+//
+// OVERPASS_URL selects the interpreter (default: overpass-api.de).
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Papa from "papaparse";
+import osmtogeojson from "osmtogeojson";
+
+import { buildLanduseQuery, landuseSnapshotPath } from "../src/utils/overpassQuery.js";
+import { setCountryScope } from "../src/utils/countries.js";
+import { COUNTRIES_CONFIG_URL, NUTS2_BOUNDARIES_URL, NUTS2_REGIONS_URL } from "../src/utils/data.js";
+import { isNuts2Code, nuts2ByName, nuts2Region, setNuts2Outlines, setNuts2Regions } from "../src/utils/nuts2Regions.js";
+import { normalizeRowCountryProvince } from "../src/utils/supplyRows.js";
+import { parseLatLon } from "../src/utils/csvRows.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC = path.join(ROOT, "public");
+
+const LANDUSE_TYPES = ["farmland", "plantation", "orchard", "vineyard", "greenhouse_horticulture", "green_public_spaces"];
+
+function parseArgs(argv) {
+  const args = { positional: [], padKm: 10, bbox: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--pad-km") args.padKm = Number(argv[++i]);
+    else if (a === "--bbox") {
+      const [south, west, north, east] = String(argv[++i]).split(",").map(Number);
+      args.bbox = { south, west, north, east };
+    } else args.positional.push(a);
+  }
+  return args;
+}
+
+async function readJson(url) {
+  return JSON.parse(await fs.readFile(path.join(PUBLIC, url), "utf8"));
+}
+
+async function provinceBBox(nuts2, padKm) {
+  const dataDir = path.join(PUBLIC, "data");
+  const files = (await fs.readdir(dataDir)).filter((f) => f === "wtp_all.csv" || /_NUTS2_supply\.csv$/.test(f));
+
+  let south = Infinity,
+    west = Infinity,
+    north = -Infinity,
+    east = -Infinity,
+    n = 0;
+
+  for (const f of files) {
+    const text = await fs.readFile(path.join(dataDir, f), "utf8");
+    const rows = Papa.parse(text, { header: true, skipEmptyLines: true }).data;
+    for (const r of rows) {
+      if (normalizeRowCountryProvince(r).nuts2_id !== nuts2) continue;
+      const { lat, lon } = parseLatLon(r);
+      if (lat == null || lon == null) continue;
+      south = Math.min(south, lat);
+      north = Math.max(north, lat);
+      west = Math.min(west, lon);
+      east = Math.max(east, lon);
+      n++;
+    }
+  }
+
+  if (!n) return null;
+
+  const latPad = padKm / 111;
+  const lonPad = padKm / (111 * (Math.cos((((south + north) / 2) * Math.PI) / 180) || 1));
+  return { south: south - latPad, west: west - lonPad, north: north + latPad, east: east + lonPad };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [countryArg, provinceArg] = args.positional;
+  if (!countryArg) {
+    console.error(
+      "Usage: extract-landuse-snapshot.mjs (<country> <province> | <NUTS-2 code>) [--bbox s,w,n,e] [--pad-km 10]"
+    );
+    process.exit(1);
+  }
+
+  setCountryScope(await readJson(COUNTRIES_CONFIG_URL));
+  setNuts2Regions(await readJson(NUTS2_REGIONS_URL));
+  setNuts2Outlines(await readJson(NUTS2_BOUNDARIES_URL).catch(() => null));
+
+  const nuts2 = provinceArg ? nuts2ByName(provinceArg, countryArg) : countryArg.toUpperCase();
+  const region = isNuts2Code(nuts2) && nuts2Region(nuts2);
+  if (!region) {
+    console.error(`Unknown NUTS-2 region: ${[countryArg, provinceArg].filter(Boolean).join(" ")}`);
+    process.exit(1);
+  }
+  const { country, name: province } = region;
+
+  const bbox = args.bbox || (await provinceBBox(nuts2, args.padKm));
+  if (!bbox || ![bbox.south, bbox.west, bbox.north, bbox.east].every(Number.isFinite)) {
+    console.error(`No points found for ${province}, ${country} — pass --bbox s,w,n,e`);
+    process.exit(1);
+  }
+
+  const endpoint = process.env.OVERPASS_URL || "https://overpass-api.de/api/interpreter";
+  const query = buildLanduseQuery(bbox, LANDUSE_TYPES, 600);
+  console.log(`Querying ${endpoint} for ${province}, ${country}`, bbox);
+
+  const res = await fetch(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded;charset=UTF-8" },
+    body: "data=" + encodeURIComponent(query),
+  });
+  if (!res.ok) throw new Error(`Overpass HTTP ${res.status}: ${(await res.text()).slice(0, 300)}`);
+
+  const gj = osmtogeojson(await res.json());
+  const polygons = gj.features.filter((f) => f.geometry?.type === "Polygon" || f.geometry?.type === "MultiPolygon");
+  const out = { type: "FeatureCollection", bbox: [bbox.west, bbox.south, bbox.east, bbox.north], features: polygons };
+
+  const file = path.join(PUBLIC, landuseSnapshotPath(country, province));
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(out));
+  console.log(`Wrote ${polygons.length} polygons to ${path.relative(ROOT, file)}`);
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exit(1);
+});
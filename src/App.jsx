@@ -1,14 +1,29 @@
 // src/App.jsx
-import { Routes, Route, Navigate, useNavigate, useParams } from "react-router-dom";
+import { Routes, Route, Navigate, useLocation, useNavigate, useParams } from "react-router-dom";
 import { useEffect, useMemo, useState } from "react";
 
 import Splash from "./pages/Splash";
 import Menu from "./pages/Menu";
+import Compare from "./pages/Compare";
 import LandUseMap from "./LandUseMap";
 import Dashboard from "./Dashboard";
+import DataProgress from "./components/DataProgress";
 
-import { wtpCsvForCountry, EXTRA_DATASETS } from "./utils/data";
+import { wtpCsvFor } from "./utils/datasetRegistry";
+import { LOCATION_GROUPS } from "./utils/data";
+import { nuts2ByName, nuts2Region, regionLabel } from "./utils/nuts2Regions";
 import { useLocationGroup, useManyGenericPoints } from "./hooks/useLocationsData";
+import { useUploadedDatasets } from "./hooks/useUploadedDatasets";
+import { useDatasetRegistry } from "./hooks/useDatasetRegistry";
+import { useDemandRates } from "./hooks/useDemandRates";
+import { useRecoveryModel } from "./hooks/useRecoveryModel";
+import { useMapUrlState, mapPath } from "./hooks/useMapUrlState";
+import { useDemandArea } from "./hooks/useDemandArea";
+import { useScenarioFacilities } from "./hooks/useScenarioFacilities";
+import { useNuts2Boundary } from "./hooks/useNuts2Boundary";
+import { runDataTask } from "./utils/workerClient";
+import { withSourceRadii, baseRadiusFor } from "./utils/sourceRadius";
+import { scenarioRowsByKey, withScenarioRows } from "./utils/scenarioFacilities";
 
 import "./App.css";
 
@@ -16,43 +31,111 @@ const landuseTypes = ["farmland", "plantation", "orchard", "vineyard", "greenhou
 
 function MapProvincePage() {
   const nav = useNavigate();
-  const { country, province } = useParams();
+  const { region } = useParams();
 
-  const decodedCountry = useMemo(() => decodeURIComponent(country || ""), [country]);
-  const decodedProvince = useMemo(() => decodeURIComponent(province || ""), [province]);
+  // /map/ITF3 — the region table gives the country and the canonical name
+  // (key of saved demand areas and landuse snapshots); the UI shows the label
+  const nuts2 = useMemo(() => decodeURIComponent(region || "").trim().toUpperCase(), [region]);
+  const info = nuts2Region(nuts2);
+  const country = info?.country || "";
+  const province = info?.name || "";
+  const provinceLabel = regionLabel(nuts2);
 
-  const [radiusKm, setRadiusKm] = useState(2);
   const [landuseLoading, setLanduseLoading] = useState(false);
-  
-
-  const [toggles, setToggles] = useState(() =>
-    landuseTypes.reduce((o, t) => ({ ...o, [t]: true }), {})
-  );
   const [features, setFeatures] = useState([]);
 
-  const [showWtp, setShowWtp] = useState(true);
-
-  const [extraToggles, setExtraToggles] = useState(() =>
-    EXTRA_DATASETS.reduce((o, d) => ({ ...o, [d.key]: true }), {})
+  // Point datasets of the manifest (public/data/datasets.json) + whatever has been uploaded to uploads/
+  const registry = useDatasetRegistry();
+  const uploads = useUploadedDatasets();
+  const supplyDatasets = useMemo(
+    () => [...registry.datasets, ...uploads.datasets],
+    [registry.datasets, uploads.datasets]
   );
+  const datasetKeys = useMemo(() => supplyDatasets.map((d) => d.key), [supplyDatasets]);
+
+  // Radius + toggles live in the query string (shareable links, back/forward);
+  // a new region URL starts from the defaults.
+  const {
+    radiusKm,
+    setRadiusKm,
+    toggles,
+    toggleLanduse,
+    showWtp,
+    toggleWtp,
+    extraToggles,
+    toggleSource,
+    clipToCircles,
+    toggleClip,
+    sourceRadii,
+    setSourceRadius,
+    scaleByOutput,
+    toggleScaleByOutput,
+    demandMode: requestedDemandMode,
+    setDemandMode,
+    center: presetCenter,
+  } = useMapUrlState({ landuseTypes, datasetKeys });
 
   useEffect(() => {
-    setRadiusKm(2);
     setFeatures([]);
-    setShowWtp(true);
-    setExtraToggles(EXTRA_DATASETS.reduce((o, d) => ({ ...o, [d.key]: true }), {}));
-  }, [decodedCountry, decodedProvince]);
+  }, [nuts2]);
 
-  const wtp = useLocationGroup(wtpCsvForCountry(decodedCountry), 2, {
-    country: decodedCountry,
-    province: decodedProvince,
+  // WTP supply = gross load × the recovery pathway's efficiency (edited in the dashboard)
+  const recovery = useRecoveryModel();
+
+  const wtp = useLocationGroup(wtpCsvFor(registry.wtp, country), 2, {
+    nuts2,
+    columns: registry.wtp?.columns,
     globalRadiusKm: radiusKm,
+    recovery,
   });
 
-  const extraData = useManyGenericPoints(EXTRA_DATASETS, {
-    country: decodedCountry,
-    province: decodedProvince,
-  });
+  const demandRates = useDemandRates(country);
+
+  // NUTS-2 outline (drawn on the map; the demand area in "province" mode)
+  const nuts2Outline = useNuts2Boundary(nuts2);
+
+  // Whole-province demand needs the official borders; with an approximate
+  // outline a ?dm=province link falls back to the circles
+  const demandMode =
+    requestedDemandMode === "province" && !nuts2Outline.loading && !nuts2Outline.official
+      ? "circles"
+      : requestedDemandMode;
+
+  // Drawn / uploaded demand polygons of this province (used when demandMode = "area")
+  const demandArea = useDemandArea(country, province);
+  const activeDemandArea = useMemo(() => {
+    if (demandMode === "area") return demandArea.area;
+    if (demandMode === "province") {
+      return { type: "FeatureCollection", features: nuts2Outline.boundary ? [nuts2Outline.boundary] : [] };
+    }
+    return null;
+  }, [demandMode, demandArea.area, nuts2Outline.boundary]);
+
+  const extraData = useManyGenericPoints(supplyDatasets, { nuts2, facilityLists: registry.facilityLists });
+
+  // What-if scenario: hypothetical facilities join their dataset's rows, so they
+  // count for the circles, the landuse fetch and the totals like real ones
+  const scenario = useScenarioFacilities(country, province);
+  const extraByKey = useMemo(
+    () => withScenarioRows(extraData.byKey, scenarioRowsByKey(scenario.facilities, supplyDatasets)),
+    [extraData.byKey, scenario.facilities, supplyDatasets]
+  );
+  const scenarioTool = useMemo(
+    () => ({
+      // a type that is switched off would not count: show only switched-on ones,
+      // and switch the type on when a facility of it is placed
+      facilities: scenario.facilities.filter((f) => extraToggles[f.type]),
+      datasets: supplyDatasets,
+      onAdd: (f) => {
+        scenario.add(f);
+        if (!extraToggles[f.type]) toggleSource(f.type);
+      },
+      onChange: scenario.change,
+      onRemove: scenario.remove,
+      onClear: scenario.clear,
+    }),
+    [scenario.facilities, scenario.add, scenario.change, scenario.remove, scenario.clear, supplyDatasets, extraToggles, toggleSource]
+  );
 
   const visibleFeatures = useMemo(
     () => (features || []).filter((f) => toggles[f.properties.landuse]),
@@ -60,12 +143,13 @@ function MapProvincePage() {
   );
 
   const extraPointsToShow = useMemo(() => {
-    return Object.entries(extraData.byKey || {})
+    return Object.entries(extraByKey)
       .filter(([k]) => extraToggles[k])
       .flatMap(([, rows]) => rows);
-  }, [extraData.byKey, extraToggles]);
+  }, [extraByKey, extraToggles]);
 
-  // ✅ Build supply points list for drawing circles (Leaflet circles, not Turf)
+  // ✅ Build supply points list for drawing circles (Leaflet circles, not Turf).
+  // Each point carries its own radiusKm (per source type, optionally scaled by output).
   const supplyCircleCenters = useMemo(() => {
     const pts = [];
 
@@ -73,25 +157,74 @@ function MapProvincePage() {
       for (const r of wtp.effectiveRows || []) {
         const lat = Number(r.lat ?? r.__lat);
         const lon = Number(r.lon ?? r.__lon);
-        if (Number.isFinite(lat) && Number.isFinite(lon)) pts.push({ lat, lon, kind: "wtp" });
+        if (Number.isFinite(lat) && Number.isFinite(lon)) {
+          pts.push({
+            lat,
+            lon,
+            kind: "wtp",
+            name: r["WWTP name"] || "",
+            kgN: Number(r.kg_n_per_year) || 0,
+            kgP: Number(r.kg_p_per_year) || 0,
+          });
+        }
       }
     }
 
     for (const p of extraPointsToShow || []) {
       const lat = Number(p.lat);
       const lon = Number(p.lon);
-      if (Number.isFinite(lat) && Number.isFinite(lon)) pts.push({ lat, lon, kind: p.__type || "extra" });
+      if (Number.isFinite(lat) && Number.isFinite(lon)) {
+        pts.push({
+          lat,
+          lon,
+          kind: p.__type || "extra",
+          name: p.name || p.__label || "",
+          kgN: Number(p.kg_n_per_year) || 0,
+          kgP: Number(p.kg_p_per_year) || 0,
+        });
+      }
     }
 
-    return pts;
-  }, [showWtp, wtp.effectiveRows, extraPointsToShow]);
+    return withSourceRadii(pts, { radiusKm, sourceRadii, scaleByOutput });
+  }, [showWtp, wtp.effectiveRows, extraPointsToShow, radiusKm, sourceRadii, scaleByOutput]);
 
-  // ✅ Initial center: always first WTP if present, else first extra point
+  // Nearest-first allocation of each facility's N/P to the plots in its radius
+  // (any plot of the custom area, when one is used instead of the circles),
+  // run in the data worker. Skipped while plots are still streaming in (it
+  // would rerun every batch).
+  const [allocation, setAllocation] = useState(null);
+  useEffect(() => {
+    setAllocation(null);
+    if (landuseLoading) return;
+    const sources = activeDemandArea
+      ? supplyCircleCenters.map((s) => ({ ...s, radiusKm: Infinity }))
+      : supplyCircleCenters;
+
+    const controller = new AbortController();
+    runDataTask(
+      "allocateSupply",
+      { sources, plots: visibleFeatures, radiusKm, rates: demandRates.rates },
+      { signal: controller.signal }
+    )
+      .then(({ props, summary }) => {
+        const features = visibleFeatures.map((f, i) => ({ ...f, properties: props[i] }));
+        setAllocation({ features, summary });
+      })
+      .catch((e) => {
+        if (e?.name !== "AbortError") console.error("Supply allocation error:", e);
+      });
+    return () => controller.abort();
+  }, [landuseLoading, supplyCircleCenters, visibleFeatures, radiusKm, demandRates.rates, activeDemandArea]);
+
+  const plotsToShow = allocation ? allocation.features : visibleFeatures;
+
+  // ✅ Initial center: the preset's (?c=), else first WTP if present, else first extra point
   const initialMapCenter = useMemo(() => {
+    if (presetCenter) return presetCenter;
     if (wtp.firstPointCenter) return wtp.firstPointCenter;
     if (extraPointsToShow?.length) return [Number(extraPointsToShow[0].lat), Number(extraPointsToShow[0].lon)];
     return null;
-  }, [wtp.firstPointCenter, extraPointsToShow]);
+  }, [presetCenter, wtp.firstPointCenter, extraPointsToShow]);
 
   // Supplies for graphs
   const wtpSupplyKg = showWtp ? Number(wtp.totalProduction || 0) : 0;
@@ -115,21 +248,81 @@ function MapProvincePage() {
 
   const totalSupplyKgP = wtpSupplyKgP + publicSupplyKgP;
 
+  // Gross WTP load before recovery (shown next to the recoverable supply)
+  const wtpGrossKg = showWtp ? Number(wtp.grossProduction || 0) : 0;
+  const wtpGrossKgP = showWtp ? Number(wtp.grossProductionP || 0) : 0;
+
   // Counts of each infrastructure type in the current province (for the legend)
   const wtpCount = (wtp.effectiveRows || []).length;
+  // Per-source count and kg N/P (for the scenario export)
+  const sourceSummaries = useMemo(() => {
+    const sum = (rows, k) => (rows || []).reduce((s, r) => s + (Number(r[k]) || 0), 0);
+    return [
+      {
+        key: "wtp",
+        label: registry.wtp?.label || "Waste water treatment plants",
+        enabled: showWtp,
+        radiusKm: baseRadiusFor("wtp", { radiusKm, sourceRadii }),
+        count: wtpCount,
+        kgN: Number(wtp.totalProduction || 0),
+        kgP: Number(wtp.totalProductionP || 0),
+        grossKgN: Number(wtp.grossProduction || 0),
+        grossKgP: Number(wtp.grossProductionP || 0),
+      },
+      ...supplyDatasets.map((d) => {
+        const rows = extraByKey[d.key] || [];
+        return {
+          key: d.key,
+          label: d.label,
+          enabled: !!extraToggles[d.key],
+          radiusKm: baseRadiusFor(d.key, { radiusKm, sourceRadii }),
+          count: rows.length,
+          kgN: sum(rows, "kg_n_per_year"),
+          kgP: sum(rows, "kg_p_per_year"),
+          hypothetical: rows.filter((r) => r.__hypothetical).length,
+        };
+      }),
+    ];
+  }, [
+    registry.wtp,
+    showWtp,
+    wtpCount,
+    wtp.totalProduction,
+    wtp.totalProductionP,
+    wtp.grossProduction,
+    wtp.grossProductionP,
+    supplyDatasets,
+    extraByKey,
+    extraToggles,
+    radiusKm,
+    sourceRadii,
+  ]);
+
   const extraCounts = useMemo(() => {
     const out = {};
-    for (const [key, rows] of Object.entries(extraData.byKey || {})) {
+    for (const [key, rows] of Object.entries(extraByKey)) {
       out[key] = (rows || []).length;
     }
     return out;
-  }, [extraData.byKey]);
+  }, [extraByKey]);
+
+  // Hypothetical facilities per dataset key (marked in the legend)
+  const hypotheticalCounts = useMemo(() => {
+    const out = {};
+    for (const f of scenario.facilities) out[f.type] = (out[f.type] || 0) + 1;
+    return out;
+  }, [scenario.facilities]);
+
+  if (!info) return <Navigate to="/" replace />;
 
   return (
     <div className="mapShell">
       <LandUseMap
-        key={`${decodedCountry}__${decodedProvince}`}
+        key={nuts2}
         center={initialMapCenter}
+        fixedCenter={!!presetCenter}
+        country={country}
+        province={province}
         searchRadiusKm={radiusKm}
 
         // ✅ circles drawn by Leaflet now
@@ -137,15 +330,21 @@ function MapProvincePage() {
         circleRadiusKm={radiusKm}
 
         locationRows={showWtp ? wtp.effectiveRows : []}
-        totalProduction={showWtp ? wtp.totalProduction : 0}
+        wtpDataset={registry.wtp}
 
         extraPoints={extraPointsToShow}
         
 
-        features={visibleFeatures}
+        features={plotsToShow}
         onDataUpdate={setFeatures}
         onLoadingChange={setLanduseLoading}
         landuseToggles={toggles}
+        demandRates={demandRates.rates}
+        clipToCircles={clipToCircles}
+        demandArea={activeDemandArea}
+        onDemandAreaChange={demandMode === "area" ? demandArea.setArea : null}
+        boundary={nuts2Outline.boundary}
+        scenario={scenarioTool}
       />
 
       <button className="backBtn" type="button" onClick={() => nav("/")}>
@@ -155,35 +354,62 @@ function MapProvincePage() {
       <Dashboard
         radiusKm={radiusKm}
         onRadiusKmChange={setRadiusKm}
-        
+        clipToCircles={clipToCircles}
+        onToggleClip={toggleClip}
+        sourceRadii={sourceRadii}
+        onSourceRadiusChange={setSourceRadius}
+        scaleByOutput={scaleByOutput}
+        onToggleScaleByOutput={toggleScaleByOutput}
+        demandMode={demandMode}
+        onDemandModeChange={setDemandMode}
+        demandAreaCount={demandArea.area.features.length}
+        provinceBoundary={nuts2Outline.boundary}
+
         landuseTypes={landuseTypes}
         toggles={toggles}
-        onToggle={(t) => setToggles((p) => ({ ...p, [t]: !p[t] }))}
-        features={visibleFeatures}
+        onToggle={toggleLanduse}
+        features={plotsToShow}
+        allocationSummary={allocation?.summary || null}
         wtpSupplyKg={wtpSupplyKg}
         publicSupplyKg={publicSupplyKg}
         totalSupplyKg={totalSupplyKg}
         wtpSupplyKgP={wtpSupplyKgP}
         publicSupplyKgP={publicSupplyKgP}
         totalSupplyKgP={totalSupplyKgP}
+        wtpGrossKg={wtpGrossKg}
+        wtpGrossKgP={wtpGrossKgP}
+        recovery={recovery}
         showWtp={showWtp}
-        onToggleWtp={() => setShowWtp((s) => !s)}
+        onToggleWtp={toggleWtp}
         wtpCount={wtpCount}
+        wtpDataset={registry.wtp}
         extraCounts={extraCounts}
-        extraDatasets={EXTRA_DATASETS}
+        hypotheticalCounts={hypotheticalCounts}
+        extraDatasets={supplyDatasets}
         extraToggles={extraToggles}
-        onToggleExtra={(k) => setExtraToggles((p) => ({ ...p, [k]: !p[k] }))}
+        onToggleExtra={toggleSource}
+        onUploadsChanged={uploads.refresh}
+        country={country}
+        province={provinceLabel}
+        sourceSummaries={sourceSummaries}
+        demandRates={demandRates.rates}
+        customDemandRates={demandRates.custom}
+        onDemandRateChange={demandRates.setRate}
+        onResetDemandRates={demandRates.reset}
       />
 
       {landuseLoading && (
         <div className="landuseSpinner">
           <div className="spinnerRing" />
+          <DataProgress className="spinnerLabel" />
         </div>
       )}
 
-      {wtp.loading && (
+      {registry.error && <div className="notice notice-error overlayNotice">{registry.error}</div>}
+      {wtp.loading && !registry.error && (
         <div className="notice notice-loading overlayNotice">
-          Loading WTPs for {decodedProvince}, {decodedCountry}…
+          Loading WTPs for {provinceLabel}, {country}…
+          <DataProgress className="noticeProgress" />
         </div>
       )}
       {wtp.error && <div className="notice notice-error overlayNotice">{wtp.error}</div>}
@@ -191,12 +417,33 @@ function MapProvincePage() {
   );
 }
 
+// Old name-based links (/map/Italy/Campania?r=5) keep working: -> /map/ITF3?r=5
+function LegacyMapRedirect() {
+  const { country, province } = useParams();
+  const { search } = useLocation();
+  const code = nuts2ByName(decodeURIComponent(province || ""), decodeURIComponent(country || ""));
+  return <Navigate to={code ? `/map/${code}${search}` : "/"} replace />;
+}
+
+// Region presets of the Menu (/region/attica) -> /map/EL30?r=10&c=37.9838,23.7275
+function RegionPresetRedirect() {
+  const { id } = useParams();
+  const group = LOCATION_GROUPS.find((g) => g.id === String(id || "").toLowerCase());
+  if (!group || !nuts2Region(group.nuts2)) return <Navigate to="/menu" replace />;
+  return (
+    <Navigate to={mapPath(group.nuts2, { radiusKm: group.defaultRadiusKm, center: group.defaultCenter })} replace />
+  );
+}
+
 export default function App() {
   return (
     <Routes>
       <Route path="/" element={<Splash />} />
       <Route path="/menu" element={<Menu />} />
-      <Route path="/map/:country/:province" element={<MapProvincePage />} />
+      <Route path="/region/:id" element={<RegionPresetRedirect />} />
+      <Route path="/compare" element={<Compare />} />
+      <Route path="/map/:region" element={<MapProvincePage />} />
+      <Route path="/map/:country/:province" element={<LegacyMapRedirect />} />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   );
@@ -1,7 +1,12 @@
 // src/Dashboard.jsx
-import { useState, useMemo } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
 import UploadPanel from "./components/UploadPanel";
+import ExportPanel from "./components/ExportPanel";
+import { computeDemand, rateForLanduse } from "./utils/demandRates";
+import { buildScenarioReport } from "./utils/scenarioReport";
+import { isOfficialBoundary } from "./hooks/useNuts2Boundary";
+import { GROSS_LOAD_PER_PE, RECOVERY_PATHWAYS, WTP_SIZE_CLASSES } from "./utils/recoveryModel";
 
 const ABOUT_TEXT = `P2GreeN's overall objective is to foster a paradigm shift, from a linearly organised resource and nutrient system within the agri-food supply chain, towards a circular material flow system between urban and rural areas thereby restoring the coupling of the water-agri-food system using a holistic symbiotic resource management approach following the 3R principle "Reduce, Reuse, Recover".
 
@@ -36,22 +41,6 @@ function formatArea(m2) {
   return `${(m2 / 1e4).toFixed(2)} ha`;
 }
 
-// Non-organic fertilizer demand for wheat, per km² of demand area.
-const N_DEMAND_KG_PER_KM2 = 16000; // 160 kg/ha
-const P_DEMAND_KG_PER_KM2 = 8000;  //  80 kg/ha
-
-const SUPPLY_COLORS = {
-  wtp: "#8bd212ff",
-  airports: "#f2ff00ff",
-  prisons: "#f9c300ff",
-  stadiums: "#ff8800ff",
-  universities: "#ff6200ff",
-  chefExpress: "#703d10ff",
-  trainStations: "#ed0b07ff",
-  festivals: "#79590bff",
-  construction: "#6b6209ff",
-};
-
 function swatchStyle(hex) {
   return {
     width: 12,
@@ -68,7 +57,8 @@ function fmt(kg) {
   return kg.toLocaleString(undefined, { maximumFractionDigits: 1 });
 }
 
-function SupplyCard({ title, supplyKg, demandKg, supplyKgP = 0, demandKgP = 0 }) {
+// grossKg / grossKgP: load before recovery, shown under the (recoverable) supply when given
+function SupplyCard({ title, supplyKg, demandKg, supplyKgP = 0, demandKgP = 0, grossKg = null, grossKgP = null }) {
   const pct = demandKg > 0 ? Math.min((supplyKg / demandKg) * 100, 100) : 0;
   const rawPct = demandKg > 0 ? (supplyKg / demandKg) * 100 : 0;
 
@@ -83,9 +73,15 @@ function SupplyCard({ title, supplyKg, demandKg, supplyKgP = 0, demandKgP = 0 })
           <div className="miniBarFill" style={{ width: `${pct}%` }} />
         </div>
         <div className="miniRow">
-          <span>Nitrogen fertilizer supply</span>
+          <span>Nitrogen fertilizer supply{grossKg != null ? " (recoverable)" : ""}</span>
           <span>= {fmt(supplyKg)} kg</span>
         </div>
+        {grossKg != null && (
+          <div className="miniRow">
+            <span>Gross nitrogen load</span>
+            <span>= {fmt(grossKg)} kg</span>
+          </div>
+        )}
         <div className="miniRow">
           <span>Nitrogen fertilizer demand</span>
           <span>= {fmt(demandKg)} kg</span>
@@ -97,9 +93,15 @@ function SupplyCard({ title, supplyKg, demandKg, supplyKgP = 0, demandKgP = 0 })
           <div className="miniBarFill isP" style={{ width: `${pctP}%` }} />
         </div>
         <div className="miniRow">
-          <span>Phosphorus fertilizer supply</span>
+          <span>Phosphorus fertilizer supply{grossKgP != null ? " (recoverable)" : ""}</span>
           <span>= {fmt(supplyKgP)} kg</span>
         </div>
+        {grossKgP != null && (
+          <div className="miniRow">
+            <span>Gross phosphorus load</span>
+            <span>= {fmt(grossKgP)} kg</span>
+          </div>
+        )}
         <div className="miniRow">
           <span>Phosphorus fertilizer demand</span>
           <span>= {fmt(demandKgP)} kg</span>
@@ -109,6 +111,217 @@ function SupplyCard({ title, supplyKg, demandKg, supplyKgP = 0, demandKgP = 0 })
   );
 }
 
+// Radius per supply source type; an empty box means "use the radius above".
+function SourceRadiiPanel({ sources, radiusKm, sourceRadii, onChange, scaleByOutput, onToggleScale }) {
+  const [open, setOpen] = useState(Object.keys(sourceRadii || {}).length > 0);
+  const enabled = sources.filter((s) => s.enabled);
+
+  return (
+    <>
+      <button type="button" className="uploadLinkBtn" onClick={() => setOpen((o) => !o)}>
+        Radius per source type {open ? "▲" : "▼"}
+      </button>
+
+      {open && (
+        <>
+          <table className="ratesTable">
+            <tbody>
+              {enabled.map((s) => (
+                <tr key={s.key}>
+                  <td>
+                    <span style={{ display: "inline-flex", alignItems: "center", gap: 6 }}>
+                      <span style={swatchStyle(s.color)} />
+                      {s.label}
+                    </span>
+                  </td>
+                  <td>
+                    <input
+                      className={`panelInput${sourceRadii?.[s.key] != null ? " isEdited" : ""}`}
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      placeholder={String(radiusKm)}
+                      value={sourceRadii?.[s.key] ?? ""}
+                      onChange={(e) => onChange(s.key, e.target.value === "" ? null : Number(e.target.value))}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <label className="panelRow">
+            <input type="checkbox" checked={scaleByOutput} onChange={onToggleScale} />
+            <span>Scale each radius by facility output (kg N vs. the median of its type)</span>
+          </label>
+        </>
+      )}
+    </>
+  );
+}
+
+// Editable kg/ha table behind the demand numbers (one row per landuse type).
+// Rate box: typing edits a local draft; it is applied on blur, Enter or after
+// a short pause. An emptied box drops the edit (back to the default rate).
+function RateInput({ edited, value, onCommit }) {
+  const [draft, setDraft] = useState(null); // null = not being edited
+
+  const commit = (text) => {
+    setDraft(null);
+    if (String(text).trim() === "") onCommit(null);
+    else if (Number.isFinite(Number(text))) onCommit(Math.max(0, Number(text)));
+  };
+  const commitRef = useRef(commit);
+  commitRef.current = commit;
+
+  useEffect(() => {
+    if (draft === null) return;
+    const t = setTimeout(() => commitRef.current(draft), 800);
+    return () => clearTimeout(t);
+  }, [draft]);
+
+  return (
+    <input
+      className={`panelInput${edited ? " isEdited" : ""}`}
+      type="number"
+      min="0"
+      step="5"
+      value={draft ?? value ?? ""}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => draft !== null && commit(draft)}
+      onKeyDown={(e) => e.key === "Enter" && draft !== null && commit(draft)}
+    />
+  );
+}
+
+function DemandRatesPanel({ landuseTypes, rates, custom, country, onChange, onReset }) {
+  const [open, setOpen] = useState(false);
+  const edited = Object.keys(custom || {}).length > 0;
+
+  return (
+    <div className="panel">
+      <button type="button" className="uploadToggle" onClick={() => setOpen((o) => !o)}>
+        DEMAND RATES {edited ? "(edited) " : ""}{open ? "▲" : "▼"}
+      </button>
+
+      {open && (
+        <>
+          <p className="panelSub" style={{ marginTop: 8 }}>
+            Fertilizer demand per crop type in kg/ha/year{country ? ` for ${country}` : ""}. Edit the values to
+            match your region; they are kept in this browser.
+          </p>
+          <table className="ratesTable">
+            <thead>
+              <tr>
+                <th />
+                <th>kg N/ha</th>
+                <th>kg P/ha</th>
+              </tr>
+            </thead>
+            <tbody>
+              {landuseTypes.map((t) => (
+                <tr key={t}>
+                  <td>{LANDUSE_LABELS[t] ?? t.replaceAll("_", " ")}</td>
+                  {["n", "p"].map((k) => (
+                    <td key={k}>
+                      <RateInput
+                        edited={custom?.[t]?.[k] != null}
+                        value={rates?.[t]?.[k]}
+                        onCommit={(v) => onChange(t, k, v)}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {edited && (
+            <button type="button" className="uploadLinkBtn" onClick={onReset}>
+              Reset to defaults
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Recovery pathway of the WTPs and its efficiency (% of the gross load) per size class.
+function RecoveryModelPanel({ recovery }) {
+  const [open, setOpen] = useState(false);
+  const edited = Object.keys(recovery.custom || {}).length > 0;
+  const isGross = recovery.pathway === "gross";
+
+  return (
+    <div className="panel">
+      <button type="button" className="uploadToggle" onClick={() => setOpen((o) => !o)}>
+        WTP NUTRIENT RECOVERY {edited ? "(edited) " : ""}
+        {open ? "▲" : "▼"}
+      </button>
+
+      {open && (
+        <>
+          <p className="panelSub" style={{ marginTop: 8 }}>
+            The gross load of a plant is its capacity × {GROSS_LOAD_PER_PE.n} kg N and {GROSS_LOAD_PER_PE.p} kg P
+            per p.e. The recovery pathway decides how much of it becomes fertilizer; edit the efficiencies per plant
+            size. They are kept in this browser.
+          </p>
+          <select
+            className="panelInput"
+            style={{ width: "100%" }}
+            value={recovery.pathway}
+            onChange={(e) => recovery.setPathway(e.target.value)}
+          >
+            {Object.entries(RECOVERY_PATHWAYS).map(([k, p]) => (
+              <option key={k} value={k}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+          {!isGross && (
+            <table className="ratesTable">
+              <thead>
+                <tr>
+                  <th />
+                  <th>% N</th>
+                  <th>% P</th>
+                </tr>
+              </thead>
+              <tbody>
+                {WTP_SIZE_CLASSES.map((c) => (
+                  <tr key={c.key}>
+                    <td>{c.label}</td>
+                    {["n", "p"].map((k) => (
+                      <td key={k}>
+                        <input
+                          className={`panelInput${recovery.custom?.[c.key]?.[k] != null ? " isEdited" : ""}`}
+                          type="number"
+                          min="0"
+                          max="100"
+                          step="1"
+                          value={Math.round((recovery.efficiencies?.[c.key]?.[k] ?? 0) * 1000) / 10}
+                          onChange={(e) =>
+                            recovery.setEfficiency(c.key, k, Math.min(100, Math.max(0, Number(e.target.value) || 0)) / 100)
+                          }
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {edited && (
+            <button type="button" className="uploadLinkBtn" onClick={recovery.reset}>
+              Reset to defaults
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
 export default function Dashboard({
   extraDatasets = [],
   extraToggles = {},
@@ -116,12 +329,23 @@ export default function Dashboard({
 
   radiusKm = 2,
   onRadiusKmChange = () => {},
+  clipToCircles = false,
+  onToggleClip = () => {},
+  sourceRadii = {},
+  onSourceRadiusChange = () => {},
+  scaleByOutput = false,
+  onToggleScaleByOutput = () => {},
+  demandMode = "circles",
+  onDemandModeChange = () => {},
+  demandAreaCount = 0,
+  provinceBoundary = null,
 
   landuseTypes = [],
   toggles = {},
   onToggle = () => {},
 
   features = [],
+  allocationSummary = null,
 
   wtpSupplyKg = 0,
   publicSupplyKg = 0,
@@ -131,14 +355,34 @@ export default function Dashboard({
   publicSupplyKgP = 0,
   totalSupplyKgP = 0,
 
+  // gross WTP load before recovery, and the recovery model (useRecoveryModel)
+  wtpGrossKg = null,
+  wtpGrossKgP = null,
+  recovery = null,
+
   showWtp = true,
   onToggleWtp = () => {},
 
   wtpCount = 0,
+  wtpDataset = null, // manifest entry of the WTP layer ({ label, color, icon })
   extraCounts = {},
+  hypotheticalCounts = {}, // what-if facilities per dataset key (included in extraCounts)
+
+  onUploadsChanged = () => {},
+
+  country = "",
+  province = "",
+  sourceSummaries = [],
+  demandRates = {},
+  customDemandRates = {},
+  onDemandRateChange = () => {},
+  onResetDemandRates = () => {},
 }) {
   const [aboutOpen, setAboutOpen] = useState(false);
 
+  const wtpLabel = wtpDataset?.label || "Waste water treatment plants";
+  const wtpColor = wtpDataset?.color || "#888";
+
   const totalAreaM2 = (features || []).reduce((s, f) => s + (f?.properties?.area || 0), 0);
   const totalAreaKm2 = totalAreaM2 / 1e6;
 
@@ -154,10 +398,50 @@ export default function Dashboard({
     return m;
   }, [features]);
 
-  // Demand is based on the total OSM landuse plot area (sum of the farmland
-  // polygons), not the demand circle. area (km²) × per-km² rate = demand.
-  const demandKg = totalAreaKm2 * N_DEMAND_KG_PER_KM2;
-  const demandKgP = totalAreaKm2 * P_DEMAND_KG_PER_KM2;
+  // Demand is based on the OSM landuse plot area (sum of the farmland
+  // polygons), not the demand circle: each polygon's area × the kg/ha rate of
+  // its own landuse type.
+  const demand = useMemo(() => computeDemand(features, demandRates), [features, demandRates]);
+  const demandKg = demand.n;
+  const demandKgP = demand.p;
+
+  const hasGross = wtpGrossKg != null && wtpGrossKgP != null;
+  const provinceOfficial = isOfficialBoundary(provinceBoundary);
+
+  const buildReport = () =>
+    buildScenarioReport({
+      country,
+      province,
+      radiusKm,
+      demandMode,
+      url: window.location.href,
+      sources: sourceSummaries,
+      landuse: landuseTypes.map((t) => {
+        const bt = demand.byType[t] || { areaM2: 0, n: 0, p: 0 };
+        const rate = rateForLanduse(demandRates, t);
+        return {
+          type: t,
+          label: LANDUSE_LABELS[t] ?? t.replaceAll("_", " "),
+          enabled: !!toggles[t],
+          areaM2: bt.areaM2,
+          demandN: bt.n,
+          demandP: bt.p,
+          rateN: rate.n,
+          rateP: rate.p,
+        };
+      }),
+      recovery: recovery ? { pathway: recovery.pathway, label: recovery.label } : null,
+      supply: {
+        wtp: { n: wtpSupplyKg, p: wtpSupplyKgP, ...(hasGross ? { grossN: wtpGrossKg, grossP: wtpGrossKgP } : {}) },
+        sourceSeparation: { n: publicSupplyKg, p: publicSupplyKgP },
+        total: {
+          n: totalSupplyKg,
+          p: totalSupplyKgP,
+          ...(hasGross ? { grossN: wtpGrossKg + publicSupplyKg, grossP: wtpGrossKgP + publicSupplyKgP } : {}),
+        },
+      },
+      demand: { n: demand.n, p: demand.p, areaM2: demand.areaM2 },
+    });
 
   return (
     <>
@@ -171,14 +455,15 @@ export default function Dashboard({
           <label className="panelRow">
             <input type="checkbox" checked={showWtp} onChange={onToggleWtp} />
             <span style={{ display: "inline-flex", alignItems: "center", gap: 8 }}>
-              <span style={swatchStyle(SUPPLY_COLORS.wtp)} />
-              Waste water treatment plants
+              <span style={swatchStyle(wtpColor)} />
+              {wtpDataset?.icon && <span aria-hidden="true">{wtpDataset.icon}</span>}
+              {wtpLabel}
             </span>
             <span className="legendCount">{wtpCount.toLocaleString()}</span>
           </label>
 
           {(extraDatasets || []).map((d) => {
-            const color = SUPPLY_COLORS[d.key] || "#888";
+            const color = d.color || "#888";
             return (
               <label key={d.key} className="panelRow">
                 <input
@@ -188,7 +473,12 @@ export default function Dashboard({
                 />
                 <span style={{ display: "inline-flex", alignItems: "center", gap: 8 }}>
                   <span style={swatchStyle(color)} />
+                  {d.icon && <span aria-hidden="true">{d.icon}</span>}
                   {d.label}
+                  {d.uploaded && <span className="uploadedTag">uploaded</span>}
+                  {hypotheticalCounts?.[d.key] > 0 && (
+                    <span className="uploadedTag hypotheticalTag">+{hypotheticalCounts[d.key]} hypothetical</span>
+                  )}
                 </span>
                 <span className="legendCount">{(extraCounts?.[d.key] || 0).toLocaleString()}</span>
               </label>
@@ -201,18 +491,84 @@ export default function Dashboard({
           <h3>Define area of fertilizer demand!</h3>
           <p className="panelSub">Input a radius to select which area you want to supply and calculate the required demand of nitrogen.</p>
 
-          <label className="panelRow" style={{ alignItems: "center" }}>
-            <span style={swatchStyle(SUPPLY_COLORS.wtp)} />
-            <span style={{ flex: 1, marginLeft: 8 }}>Radius in km</span>
+          <label className="panelRow">
+            <input
+              type="radio"
+              name="demandMode"
+              checked={demandMode === "circles"}
+              onChange={() => onDemandModeChange("circles")}
+            />
+            <span>Circles around supply points</span>
+          </label>
+          <label className="panelRow">
+            <input
+              type="radio"
+              name="demandMode"
+              checked={demandMode === "area"}
+              onChange={() => onDemandModeChange("area")}
+            />
+            <span>Custom area (draw on the map or upload GeoJSON)</span>
+            {demandAreaCount > 0 && <span className="legendCount">{demandAreaCount}</span>}
+          </label>
+          <label className="panelRow">
             <input
-              className="panelInput"
-              type="number"
-              min="0"
-              step="0.5"
-              value={radiusKm}
-              onChange={(e) => onRadiusKmChange(Number(e.target.value))}
+              type="radio"
+              name="demandMode"
+              checked={demandMode === "province"}
+              disabled={!provinceOfficial && demandMode !== "province"}
+              onChange={() => onDemandModeChange("province")}
             />
+            <span>Whole province (all agricultural land inside the NUTS-2 boundary)</span>
+            {provinceBoundary && <span className="legendCount">{provinceBoundary.properties?.nuts2_id}</span>}
           </label>
+          {demandMode === "province" && provinceOfficial && (
+            <p className="panelSub">Region-wide landuse query — can take a while.</p>
+          )}
+          {provinceBoundary && !provinceOfficial && (
+            <p className="panelSub">
+              Whole province needs the official NUTS-2 borders; the shipped outline is approximate (derived from WTP
+              locations).
+            </p>
+          )}
+
+          <label className="panelRow">
+            <input type="checkbox" checked={clipToCircles} onChange={onToggleClip} />
+            <span>Clip plots to the {demandMode === "circles" ? "circles" : "boundary"} (accurate area, slower)</span>
+          </label>
+
+          {demandMode === "circles" && (
+            <>
+              <label className="panelRow" style={{ alignItems: "center" }}>
+                <span style={swatchStyle(wtpColor)} />
+                <span style={{ flex: 1, marginLeft: 8 }}>Radius in km</span>
+                <input
+                  className="panelInput"
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={radiusKm}
+                  onChange={(e) => onRadiusKmChange(Number(e.target.value))}
+                />
+              </label>
+
+              <SourceRadiiPanel
+                sources={[
+                  { key: "wtp", label: wtpLabel, color: wtpColor, enabled: showWtp },
+                  ...(extraDatasets || []).map((d) => ({
+                    key: d.key,
+                    label: d.label,
+                    color: d.color || "#888",
+                    enabled: !!extraToggles?.[d.key],
+                  })),
+                ]}
+                radiusKm={radiusKm}
+                sourceRadii={sourceRadii}
+                onChange={onSourceRadiusChange}
+                scaleByOutput={scaleByOutput}
+                onToggleScale={onToggleScaleByOutput}
+              />
+            </>
+          )}
 
           <div className="divider" />
 
@@ -241,6 +597,64 @@ export default function Dashboard({
           </div>
         </div>
 
+        {allocationSummary && allocationSummary.demandN > 0 && (
+          <div className="panel">
+            <h3>Unmet demand</h3>
+            <p className="panelSub">
+              Supply delivered nearest-first to the plots within each facility's radius. What is left per crop type:
+            </p>
+            <table className="ratesTable">
+              <thead>
+                <tr>
+                  <th />
+                  <th>area km²</th>
+                  <th>kg N</th>
+                  <th>kg P</th>
+                </tr>
+              </thead>
+              <tbody>
+                {landuseTypes
+                  .filter((t) => allocationSummary.byType[t])
+                  .map((t) => {
+                    const bt = allocationSummary.byType[t];
+                    return (
+                      <tr key={t}>
+                        <td>{LANDUSE_LABELS[t] ?? t.replaceAll("_", " ")}</td>
+                        <td>{(bt.unmetAreaM2 / 1e6).toFixed(2)}</td>
+                        <td>{fmt(bt.unmetN)}</td>
+                        <td>{fmt(bt.unmetP)}</td>
+                      </tr>
+                    );
+                  })}
+              </tbody>
+            </table>
+            {(allocationSummary.noPlotN > 0 || allocationSummary.noPlotP > 0) && (
+              <p className="panelNote">
+                Supply with no plot in range: {fmt(allocationSummary.noPlotN)} kg N · {fmt(allocationSummary.noPlotP)} kg P
+              </p>
+            )}
+            {(allocationSummary.surplusN > 0 || allocationSummary.surplusP > 0) && (
+              <p className="panelNote">
+                Surplus after demand in range met: {fmt(allocationSummary.surplusN)} kg N ·{" "}
+                {fmt(allocationSummary.surplusP)} kg P
+              </p>
+            )}
+          </div>
+        )}
+
+        {recovery && <RecoveryModelPanel recovery={recovery} />}
+
+        <DemandRatesPanel
+          landuseTypes={landuseTypes}
+          rates={demandRates}
+          custom={customDemandRates}
+          country={country}
+          onChange={onDemandRateChange}
+          onReset={onResetDemandRates}
+        />
+
+        <ExportPanel buildReport={buildReport} />
+
         <div className="panel about">
           <button
             type="button"
@@ -256,7 +670,7 @@ export default function Dashboard({
           )}
         </div>
 
-        <UploadPanel />
+        <UploadPanel onUploaded={onUploadsChanged} />
       </div>
 
       <div className="bottomMeta">
@@ -267,11 +681,13 @@ export default function Dashboard({
 
       <div className="bottomPanels">
         <SupplyCard
-          title="Waste water treatment plants supply vs demand per year"
+          title={`${wtpLabel} supply vs demand per year`}
           supplyKg={wtpSupplyKg}
           demandKg={demandKg}
           supplyKgP={wtpSupplyKgP}
           demandKgP={demandKgP}
+          grossKg={hasGross ? wtpGrossKg : null}
+          grossKgP={hasGross ? wtpGrossKgP : null}
         />
         <SupplyCard
           title="Source separation supply vs demand per year"
@@ -286,6 +702,8 @@ export default function Dashboard({
           demandKg={demandKg}
           supplyKgP={totalSupplyKgP}
           demandKgP={demandKgP}
+          grossKg={hasGross ? wtpGrossKg + publicSupplyKg : null}
+          grossKgP={hasGross ? wtpGrossKgP + publicSupplyKgP : null}
         />
       </div>
     </>
@@ -3,65 +3,35 @@ import { useEffect, useMemo, useRef } from "react";
 import {
   MapContainer,
   TileLayer,
-  Marker,
-  Popup,
   LayerGroup,
   Circle,
   GeoJSON,
   useMap,
 } from "react-leaflet";
 import L from "leaflet";
-import osmtogeojson from "osmtogeojson";
-import { centroid, distance, feature as turfFeature } from "@turf/turf";
-import area from "@turf/area";
 import "leaflet/dist/leaflet.css";
-
-/* ---------------- Icons ---------------- */
-function createColoredSquareIcon(hex = "#1967d2") {
-  const svg = encodeURIComponent(
-    `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16">
-      <circle cx="8" cy="8" r="6" fill="${hex}"/>
-    </svg>`
-  );
-  return L.icon({
-    iconUrl: `data:image/svg+xml;charset=UTF-8,${svg}`,
-    iconRetinaUrl: `data:image/svg+xml;charset=UTF-8,${svg}`,
-    iconSize: [16, 16],
-    iconAnchor: [8, 8],
-    popupAnchor: [0, -8],
-    className: "",
-  });
-}
-/* ---------------- Dataset colors ---------------- */
-const DATASET_COLORS = {
-  wtp: "#8bd212ff",
-  airports: "#f2ff00ff",
-  prisons: "#f9c300ff",
-  stadiums: "#ff8800ff",
-  universities: "#ff6200ff",
-  chefExpress: "#703d10ff",
-  trainStations: "#ed0b07ff",
-  festivals: "#79590bff",
-  construction: "#6b6209ff",
-};
-
-function normalizeDatasetKey(k) {
-  const s = String(k || "").trim();
-  if (!s) return "";
-  const lower = s.toLowerCase();
-  if (lower === "chefexpress" || lower === "chefexpress") return "chefExpress";
-  // keep camelCase keys like trainStations
-  return s;
-}
-
+import { demandForFeature, rateForLanduse } from "./utils/demandRates";
+import { getCachedLanduse, putCachedLanduse, tagsKeyFor } from "./utils/overpassCache";
+import { buildLanduseQuery, landuseSnapshotPath, landuseTiles, TILE_TIMEOUT_SEC } from "./utils/overpassQuery";
+import {
+  bboxAroundCenters,
+  buildCircleBBoxes,
+  bboxOfArea,
+  tileTouchesArea,
+  tileTouchesCircles,
+} from "./utils/landuseGeometry";
+import { runDataTask } from "./utils/workerClient";
+import { getOverpassEndpoints, getLanduseSource, getSnapshotBaseUrl } from "./utils/runtimeConfig";
+import DemandAreaDraw from "./components/DemandAreaDraw";
+import ScenarioFacilities from "./components/ScenarioFacilities";
+import ClusteredPoints from "./components/ClusteredPoints";
+import { DEFAULT_DATASET_COLOR } from "./utils/datasetRegistry";
+
+/* Dataset colours come from the manifest (public/data/datasets.json) via the rows / wtpDataset */
 function datasetColorFor(point) {
-  const raw = point?.__type || point?.type || point?.dataset || "";
-  const key = normalizeDatasetKey(raw);
-  return DATASET_COLORS[key] || "#444444";
+  return point?.__color || DEFAULT_DATASET_COLOR;
 }
 
-const wtpIcon = createColoredSquareIcon(DATASET_COLORS.wtp);
-
 /* ---------------- Landuse colors ---------------- */
 const LANDUSE_COLORS = {
   farmland: "#6dacffff",
@@ -72,23 +42,19 @@ const LANDUSE_COLORS = {
   green_public_spaces: "#c9267dff",
 };
 
-const OVERPASS_ENDPOINTS = [
-  "https://overpass-api.de/api/interpreter",
-  "https://z.overpass-api.de/api/interpreter",
-  "https://overpass.kumi.systems/api/interpreter", // no CORS from localhost — last resort
-];
-
-const overpassCache = new Map();
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
 
-async function fetchOverpassWithBackoff(query, abortSignal, cacheKey) {
-  if (overpassCache.has(cacheKey)) return overpassCache.get(cacheKey);
+// `cache` = { tagsKey, bbox } — see utils/overpassCache (persistent, bbox-containment aware)
+async function fetchOverpassWithBackoff(query, abortSignal, cache) {
+  const cached = await getCachedLanduse(cache.tagsKey, cache.bbox);
+  if (cached) return cached;
 
+  const endpoints = getOverpassEndpoints();
   const maxAttempts = 4;
   let endpointIdx = 0;
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const endpoint = OVERPASS_ENDPOINTS[endpointIdx % OVERPASS_ENDPOINTS.length];
+    const endpoint = endpoints[endpointIdx % endpoints.length];
     try {
       const resp = await fetch(endpoint, {
         method: "POST",
@@ -98,9 +64,9 @@ async function fetchOverpassWithBackoff(query, abortSignal, cacheKey) {
       });
 
       if (!resp.ok) throw new Error(`Overpass HTTP ${resp.status}`);
-      const json = await resp.json();
-      const gj = osmtogeojson(json);
-      overpassCache.set(cacheKey, gj);
+      const text = await resp.text();
+      const gj = await runDataTask("overpassToGeojson", { text }, { signal: abortSignal });
+      await putCachedLanduse(cache.tagsKey, cache.bbox, gj, text.length);
       return gj;
     } catch (err) {
       if (abortSignal?.aborted) throw err;
@@ -113,6 +79,164 @@ async function fetchOverpassWithBackoff(query, abortSignal, cacheKey) {
   throw new Error("Overpass failed after multiple retries");
 }
 
+const snapshotCache = new Map();
+
+// Pre-extracted landuse GeoJSON for a province (public/landuse/…), or null if
+// there is none. Dev servers answer missing files with index.html, so anything
+// that isn't a FeatureCollection counts as "no snapshot".
+async function fetchLanduseSnapshot(country, province, abortSignal) {
+  if (!country || !province) return null;
+  const url = getSnapshotBaseUrl() + landuseSnapshotPath(country, province);
+  if (snapshotCache.has(url)) return snapshotCache.get(url);
+
+  let gj = null;
+  try {
+    const res = await fetch(url, { signal: abortSignal });
+    if (res.ok) {
+      const j = await res.json();
+      if (j?.type === "FeatureCollection" && Array.isArray(j.features)) gj = j;
+    }
+  } catch (err) {
+    if (abortSignal?.aborted) throw err;
+  }
+
+  snapshotCache.set(url, gj);
+  return gj;
+}
+
+// One Overpass query per tile (one by one — Overpass allows few parallel
+// slots), merged; ways crossing a tile edge come back from both tiles.
+async function fetchOverpassTiles({ tiles, enabled }, abortSignal) {
+  const tagsKey = tagsKeyFor(enabled);
+  if (tiles.length === 1) {
+    return fetchOverpassWithBackoff(buildLanduseQuery(tiles[0], enabled), abortSignal, { tagsKey, bbox: tiles[0] });
+  }
+
+  const seen = new Set();
+  const features = [];
+  for (const tile of tiles) {
+    const query = buildLanduseQuery(tile, enabled, TILE_TIMEOUT_SEC);
+    const gj = await fetchOverpassWithBackoff(query, abortSignal, { tagsKey, bbox: tile });
+    for (const f of gj?.features || []) {
+      if (f.id != null) {
+        if (seen.has(f.id)) continue;
+        seen.add(f.id);
+      }
+      features.push(f);
+    }
+  }
+  return { type: "FeatureCollection", features };
+}
+
+// Landuse GeoJSON from the configured source (see utils/runtimeConfig).
+async function fetchLanduse({ tiles, enabled, country, province }, abortSignal) {
+  const source = getLanduseSource();
+
+  if (source !== "overpass") {
+    const snap = await fetchLanduseSnapshot(country, province, abortSignal);
+    if (snap) return snap;
+    if (source === "snapshot") {
+      throw new Error(`No landuse snapshot for ${province}, ${country} (${landuseSnapshotPath(country, province)})`);
+    }
+  }
+
+  return fetchOverpassTiles({ tiles, enabled }, abortSignal);
+}
+
+/* Fit the map to the province outline once it has loaded */
+function FitToBoundary({ boundary }) {
+  const map = useMap();
+  const id = boundary?.properties?.nuts2_id || "";
+
+  useEffect(() => {
+    if (!boundary) return;
+    try {
+      map.fitBounds(L.geoJSON(boundary).getBounds(), { padding: [16, 16], animate: false });
+    } catch {
+      /* empty / broken geometry */
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [map, id]);
+
+  return null;
+}
+
+const BOUNDARY_STYLE = { color: "#1f33ff", weight: 1.5, opacity: 0.8, fill: false, dashArray: "2 4" };
+
+const stylePlot = (feature) => ({
+  fillColor: LANDUSE_COLORS[feature.properties.landuse] || "#cccccc57",
+  weight: 0.25,
+  color: "#555",
+  fillOpacity: 0.55,
+});
+
+/*
+ * One landuse plot. GeoJSON reads `data` only on mount, so a new allocation or
+ * new rates are pushed into the existing layer: its feature (read by the popup)
+ * and style are refreshed and an open popup is rebuilt.
+ */
+function PlotLayer({ feature, rates, style, onEachFeature }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    ref.current?.eachLayer((layer) => {
+      layer.feature = feature;
+      layer.setStyle?.(style(feature));
+      if (layer.isPopupOpen()) layer.getPopup().update();
+    });
+  }, [feature, rates, style]);
+
+  return <GeoJSON ref={ref} data={feature} style={style} onEachFeature={onEachFeature} />;
+}
+
+/* ---------------- Point popups (built when opened) ---------------- */
+const esc = (v) =>
+  String(v ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+function wtpPopupHtml({ row: pt, lat, lon, i }) {
+  const pe = pickPeValue(pt);
+  const prod = pickWtpProduction(pt);
+  const prodP = pickWtpProductionP(pt);
+
+  let html = `<div><strong>${esc(pickWtpName(pt, `WTP ${i + 1}`))}</strong>`;
+  if (pt?.province && pt?.country) {
+    html += `<div style="margin-top:4px;color:#444">${esc(pt.province)}, ${esc(pt.country)}</div>`;
+  }
+  if (pe != null) html += `<div style="margin-top:8px"><strong>Capacity (p.e):</strong> ${pe.toLocaleString()}</div>`;
+  if (prod != null) html += `<div style="margin-top:4px"><strong>Kg N/year:</strong> ${prod.toLocaleString()}</div>`;
+  if (prodP != null) html += `<div style="margin-top:4px"><strong>Kg P/year:</strong> ${prodP.toLocaleString()}</div>`;
+  if (pt?.__recovery) {
+    const grossN = asNum(pt.gross_kg_n_per_year) ?? 0;
+    const grossP = asNum(pt.gross_kg_p_per_year) ?? 0;
+    html += `<div style="margin-top:4px;color:#666">Recoverable by ${esc(pt.__recovery)}; gross load ${grossN.toLocaleString()} kg N, ${grossP.toLocaleString()} kg P</div>`;
+  }
+  html += `<div style="margin-top:8px;color:#666">Lat/Lon: ${lat.toFixed(5)}, ${lon.toFixed(5)}</div></div>`;
+  return html;
+}
+
+function extraPopupHtml({ row: p, lat, lon, kgN, kgP }) {
+  const label = p.__label || p.label || p.__type || "Dataset";
+  const visitors = asNum(p.visitors);
+
+  let html = `<div><strong>${esc(p.name || "Location")}</strong>`;
+  html += `<div style="margin-top:4px;color:#444">${esc([p.__icon, label].filter(Boolean).join(" "))}</div>`;
+  if (p.province || p.country) {
+    html += `<div style="margin-top:6px;color:#666">${esc([p.province, p.country].filter(Boolean).join(", "))}</div>`;
+  }
+  if (visitors != null) {
+    html += `<div style="margin-top:8px"><strong>Visitors / capacity:</strong> ${visitors.toLocaleString()}</div>`;
+  }
+  const urine = asNum(p.urine_l_per_year);
+  if (urine) {
+    html += `<div style="margin-top:4px"><strong>Urine L/year:</strong> ${Math.round(urine).toLocaleString()}</div>`;
+  }
+  html += `<div style="margin-top:8px"><strong>Kg N/year:</strong> ${kgN.toLocaleString()}</div>`;
+  html += `<div style="margin-top:4px"><strong>Kg P/year:</strong> ${kgP.toLocaleString()}</div>`;
+  if (p.source) html += `<div style="margin-top:6px;color:#666">Source: ${esc(p.source)}</div>`;
+  html += `<div style="margin-top:8px;color:#666">Lat/Lon: ${lat.toFixed(5)}, ${lon.toFixed(5)}</div></div>`;
+  return html;
+}
+
 /* ✅ Recenter helper */
 function RecenterOnChange({ targetCenter, zoom = 12 }) {
   const map = useMap();
@@ -164,8 +288,9 @@ function pickPeValue(pt) {
 }
 
 function pickWtpProduction(pt) {
+  const std = pt?.kg_n_per_year == null ? null : asNum(pt.kg_n_per_year); // ✅ standardized by hook (0 = nothing recoverable)
+  if (std != null) return std;
   return (
-    asNum(pt?.kg_n_per_year) ||               // ✅ standardized by hook
     asNum(pt?.["N kg/per year"]) ||           // ✅ WTP file
     asNum(pt?.production) ||
     asNum(pt?.liters_per_year) ||
@@ -177,8 +302,9 @@ function pickWtpProduction(pt) {
 }
 
 function pickWtpProductionP(pt) {
+  const std = pt?.kg_p_per_year == null ? null : asNum(pt.kg_p_per_year); // ✅ standardized by hook (0 = nothing recoverable)
+  if (std != null) return std;
   return (
-    asNum(pt?.kg_p_per_year) ||               // ✅ standardized by hook
     asNum(pt?.["P kg/per year"]) ||           // ✅ WTP file
     asNum(pt?.p_kg_per_year) ||
     null
@@ -186,99 +312,23 @@ function pickWtpProductionP(pt) {
 }
 
 
-/* ✅ One bbox around all circle centers to fetch quickly */
-function bboxAroundCenters(centers, radiusKm) {
-  const pts = (centers || [])
-    .map((p) => ({ lat: asNum(p.lat), lon: asNum(p.lon) }))
-    .filter((p) => p.lat != null && p.lon != null);
-
-  if (!pts.length) return null;
-
-  const km = Number(radiusKm);
-  const r = Number.isFinite(km) && km > 0 ? km : 0;
-
-  const latPad = r / 111;
-
-  let minLat = Infinity,
-    maxLat = -Infinity,
-    minLon = Infinity,
-    maxLon = -Infinity;
-
-  for (const p of pts) {
-    const cos = Math.cos((p.lat * Math.PI) / 180) || 1;
-    const lonPad = r / (111 * cos);
-
-    minLat = Math.min(minLat, p.lat - latPad);
-    maxLat = Math.max(maxLat, p.lat + latPad);
-    minLon = Math.min(minLon, p.lon - lonPad);
-    maxLon = Math.max(maxLon, p.lon + lonPad);
-  }
-
-  return { south: minLat, west: minLon, north: maxLat, east: maxLon };
-}
-
-/* ✅ Build per-circle bbox list for prefiltering */
-function buildCircleBBoxes(centers, radiusKm) {
-  const km = Number(radiusKm);
-  if (!Number.isFinite(km) || km <= 0) return [];
-
-  const out = [];
-  for (const p of centers || []) {
-    const lat = asNum(p.lat);
-    const lon = asNum(p.lon);
-    if (lat == null || lon == null) continue;
-
-    const latPad = km / 111;
-    const cos = Math.cos((lat * Math.PI) / 180) || 1;
-    const lonPad = km / (111 * cos);
-
-    out.push({
-      lat,
-      lon,
-      minLat: lat - latPad,
-      maxLat: lat + latPad,
-      minLon: lon - lonPad,
-      maxLon: lon + lonPad,
-    });
-  }
-  return out;
-}
-
-/* ✅ SUPER FAST: centroid inside ANY circle using bbox prefilter + distance */
-function centroidInsideAnyCircle(polyFeature, circleBoxes, radiusKm) {
-  const km = Number(radiusKm);
-  if (!Number.isFinite(km) || km <= 0) return false;
-
-  let c;
-  try {
-    c = centroid(polyFeature);
-  } catch {
-    return false;
-  }
-  const [cx, cy] = c?.geometry?.coordinates || [];
-  if (!Number.isFinite(cx) || !Number.isFinite(cy)) return false;
-
-  // bbox prefilter first, distance second
-  for (const b of circleBoxes || []) {
-    if (cy < b.minLat || cy > b.maxLat || cx < b.minLon || cx > b.maxLon) continue;
-
-    const d = distance([cx, cy], [b.lon, b.lat], { units: "kilometers" });
-    if (d <= km) return true;
-  }
-  return false;
-}
-
 export default function LandUseMap({
   center,
+  // true: stay at `center` (region presets) instead of the first WTP / the outline
+  fixedCenter = false,
+  country = "",
+  province = "",
   searchRadiusKm,
 
-  // circles
+  // circles — a center's own radiusKm wins over circleRadiusKm / searchRadiusKm
   supplyCircleCenters = [],
   circleRadiusKm = 2,
 
   // markers
   locationRows = [],
   extraPoints = [],
+  // manifest entry of the WTP layer ({ color, icon, ... })
+  wtpDataset = null,
   markerRadius = 6,
 
   // polygons
@@ -286,7 +336,21 @@ export default function LandUseMap({
   features = [],
   onDataUpdate = () => {},
   onLoadingChange = () => {},
-  totalProduction = 0,
+  demandRates = {},
+  // true: intersect plots with the circles and count only the clipped area;
+  // false: keep/drop whole plots by centroid (fast)
+  clipToCircles: clipMode = false,
+
+  // custom demand area (FeatureCollection) — replaces the circles when set
+  demandArea = null,
+  onDemandAreaChange = null,
+
+  // NUTS-2 outline of the province (Feature) — drawn and fitted to
+  boundary = null,
+
+  // what-if tool: { facilities, datasets, onAdd, onChange, onRemove, onClear }
+  // (their rows arrive in extraPoints flagged __hypothetical)
+  scenario = null,
 }) {
   const abortRef = useRef(null);
 
@@ -298,6 +362,47 @@ export default function LandUseMap({
     return lat != null && lon != null ? [lat, lon] : null;
   }, [locationRows]);
 
+  // Points grouped into one layer per source (WTPs, then each dataset key)
+  const pointLayers = useMemo(() => {
+    const layers = [];
+
+    const wtpPoints = [];
+    (locationRows || []).forEach((pt, i) => {
+      const lat = asNum(pt.lat ?? pt.__lat ?? pt.latitude ?? pt.Latitude);
+      const lon = asNum(pt.lon ?? pt.__lon ?? pt.longitude ?? pt.Longitude ?? pt.lng);
+      if (lat == null || lon == null) return;
+      wtpPoints.push({ lat, lon, kgN: pickWtpProduction(pt) ?? 0, kgP: pickWtpProductionP(pt) ?? 0, row: pt, i });
+    });
+    if (wtpPoints.length) {
+      layers.push({
+        key: "wtp",
+        color: wtpDataset?.color || DEFAULT_DATASET_COLOR,
+        points: wtpPoints,
+        popupFor: wtpPopupHtml,
+      });
+    }
+
+    const byType = new Map();
+    for (const p of extraPoints || []) {
+      if (p.__hypothetical) continue; // drawn as draggable markers by ScenarioFacilities
+      const lat = asNum(p.lat);
+      const lon = asNum(p.lon);
+      if (lat == null || lon == null) continue;
+      const key = p.__type || "extra";
+      if (!byType.has(key)) byType.set(key, { key, color: datasetColorFor(p), points: [], popupFor: extraPopupHtml });
+      byType.get(key).points.push({
+        lat,
+        lon,
+        kgN: asNum(p.kg_n_per_year) ?? 0,
+        kgP: asNum(p.kg_p_per_year) ?? 0,
+        row: p,
+      });
+    }
+    layers.push(...byType.values());
+
+    return layers;
+  }, [locationRows, extraPoints, wtpDataset]);
+
   const firstExtraCenter = useMemo(() => {
     if (!extraPoints?.length) return null;
     const p = extraPoints[0];
@@ -306,33 +411,31 @@ export default function LandUseMap({
     return lat != null && lon != null ? [lat, lon] : null;
   }, [extraPoints]);
 
-  const safeCenter = firstWtpCenter || center || firstExtraCenter || null;
+  const safeCenter = (fixedCenter && center) || firstWtpCenter || center || firstExtraCenter || null;
   const initialCenter = safeCenter || [0, 0];
 
-  const radiusMeters = useMemo(() => {
-    const km = Number(circleRadiusKm);
+  const radiusMetersFor = (p) => {
+    const km = Number(p.radiusKm ?? circleRadiusKm);
     if (!Number.isFinite(km) || km <= 0) return 0;
     return km * 1000;
-  }, [circleRadiusKm]);
+  };
+
+  // Sum of the radii: changes whenever any per-source radius does
+  const radiiSig = useMemo(
+    () => supplyCircleCenters.reduce((s, p) => s + (Number(p.radiusKm) || 0), 0).toFixed(3),
+    [supplyCircleCenters]
+  );
 
   const circleKey = useMemo(
-    () => `circles:${supplyCircleCenters.length}|km:${circleRadiusKm}`,
-    [supplyCircleCenters.length, circleRadiusKm]
+    () => `circles:${supplyCircleCenters.length}|km:${circleRadiusKm}|r:${radiiSig}`,
+    [supplyCircleCenters.length, circleRadiusKm, radiiSig]
   );
 
-  // ✅ precomputed circle bboxes for fast filtering
-  const circleBoxesKey = useMemo(() => {
-    const bbox = bboxAroundCenters(supplyCircleCenters, searchRadiusKm);
-    const b = bbox
-      ? `${bbox.south.toFixed(4)},${bbox.west.toFixed(4)},${bbox.north.toFixed(4)},${bbox.east.toFixed(4)}`
-      : "none";
-    return `cb|r:${Number(searchRadiusKm || 0).toFixed(2)}|n:${supplyCircleCenters.length}|b:${b}`;
-  }, [supplyCircleCenters, searchRadiusKm]);
-
-  const circleBoxes = useMemo(() => {
-    return buildCircleBBoxes(supplyCircleCenters, searchRadiusKm);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [circleBoxesKey]);
+  // ✅ precomputed circle bboxes for fast filtering (a dragged facility moves its box)
+  const circleBoxes = useMemo(
+    () => buildCircleBBoxes(supplyCircleCenters, searchRadiusKm),
+    [supplyCircleCenters, searchRadiusKm]
+  );
 
   /* ✅ FAST fetch + centroid filter (bbox prefilter added) */
   useEffect(() => {
@@ -342,39 +445,17 @@ export default function LandUseMap({
       return;
     }
 
-    const bbox = bboxAroundCenters(supplyCircleCenters, searchRadiusKm);
+    const useArea = !!demandArea;
+    const bbox = useArea ? bboxOfArea(demandArea) : bboxAroundCenters(supplyCircleCenters, searchRadiusKm);
     if (!bbox) {
       onDataUpdate([]);
       return;
     }
 
-    // green_public_spaces is not a real OSM landuse tag — handled via leisure query below
-    const landuseTags = enabled.filter((k) => k !== "green_public_spaces");
-    const wantGreen = enabled.includes("green_public_spaces");
-    const { south, west, north, east } = bbox;
-
-    const cacheKey = `bbox|centroid+bbox|${enabled.join("|")}|${south.toFixed(4)},${west.toFixed(
-      4
-    )},${north.toFixed(4)},${east.toFixed(4)}|r:${Number(searchRadiusKm || 0).toFixed(2)}|n:${supplyCircleCenters.length}`;
-
-    // Use way+relation only (nodes can never be polygons — no need to fetch them)
-    const queryParts = [];
-    if (landuseTags.length) {
-      queryParts.push(
-        `way["landuse"~"${landuseTags.join("|")}"](${south},${west},${north},${east});`,
-        `relation["landuse"~"${landuseTags.join("|")}"](${south},${west},${north},${east});`
-      );
-    }
-    if (wantGreen) {
-      queryParts.push(
-        `way["leisure"~"park|garden|nature_reserve|recreation_ground"](${south},${west},${north},${east});`,
-        `relation["leisure"~"park|garden|nature_reserve|recreation_ground"](${south},${west},${north},${east});`
-      );
-    }
-
-    const query = `[out:json][timeout:30];\n(\n${queryParts.join("\n")}\n);\nout geom;`;
-
-    
+    // Large bboxes go out as tiles; skip those outside the area / circles
+    const tiles = landuseTiles(bbox).filter((t) =>
+      useArea ? tileTouchesArea(t, demandArea) : tileTouchesCircles(t, circleBoxes)
+    );
 
     if (abortRef.current) abortRef.current.abort();
     const controller = new AbortController();
@@ -383,50 +464,21 @@ export default function LandUseMap({
     const run = async () => {
       onLoadingChange(true);
       try {
-        const gj = await fetchOverpassWithBackoff(query, controller.signal, cacheKey);
-
-        const kept = [];
-        let totalA = 0;
-
-        for (const f of gj.features || []) {
-          let lu =
-            f.properties?.landuse ??
-            f.properties?.tags?.landuse ??
-            f.properties?.["landuse"];
-
-          const leisure =
-            f.properties?.leisure ??
-            f.properties?.tags?.leisure;
-
-          if (!lu && leisure) {
-            if (
-              ["park", "garden", "nature_reserve", "recreation_ground"].includes(leisure)
-            ) {
-              lu = "green_public_spaces";
-            }
-          }
-
-          if (!lu || !landuseToggles[lu]) continue;
-
-          const g = f.geometry;
-          if (!g || (g.type !== "Polygon" && g.type !== "MultiPolygon")) continue;
-
-          const tf = turfFeature(g, { landuse: lu });
-
-          if (!centroidInsideAnyCircle(tf, circleBoxes, searchRadiusKm)) continue;
-
-          const a = area(tf);
-          if (!Number.isFinite(a) || a <= 0) continue;
-
-          tf.properties.area = a;
-          kept.push(tf);
-          totalA += a;
-        }
-
-        const prod = Number(totalProduction || 0);
-        for (const p of kept) {
-          p.properties.fertilizer = totalA > 0 ? (p.properties.area / totalA) * prod : 0;
-        }
+        const gj = await fetchLanduse({ tiles, enabled, country, province }, controller.signal);
+
+        // centroid / clip / area of every polygon run in the data worker
+        const kept = await runDataTask(
+          "filterLanduse",
+          {
+            geojson: gj,
+            landuse: Object.keys(landuseToggles).filter((k) => landuseToggles[k]),
+            clip: clipMode,
+            circleBoxes,
+            radiusKm: searchRadiusKm,
+            area: useArea ? demandArea : null,
+          },
+          { signal: controller.signal }
+        );
 
         // Stream polygons in batches so the map fills in progressively
         const BATCH = 15;
@@ -451,20 +503,31 @@ export default function LandUseMap({
       clearTimeout(t);
       controller.abort();
     };
-  }, [searchRadiusKm, supplyCircleCenters, landuseToggles, totalProduction, onDataUpdate, circleBoxes]);
-
-  const stylePlot = (feature) => ({
-    fillColor: LANDUSE_COLORS[feature.properties.landuse] || "#cccccc57",
-    weight: 0.25,
-    color: "#555",
-    fillOpacity: 0.55,
-  });
-
-  function onEachPlot(feature, layer) {
+  }, [
+    searchRadiusKm,
+    supplyCircleCenters,
+    landuseToggles,
+    onDataUpdate,
+    circleBoxes,
+    country,
+    province,
+    clipMode,
+    demandArea,
+  ]);
+
+  // Popups are built when opened, from the layer's current feature and rates
+  const ratesRef = useRef(demandRates);
+  ratesRef.current = demandRates;
+
+  function plotPopup(layer) {
+    const feature = layer.feature;
+    const rates = ratesRef.current;
     const p = feature.properties || {};
+    const rate = rateForLanduse(rates, p.landuse);
+    const demand = demandForFeature(feature, rates);
+    const fmtKg = (v) => Number(v).toLocaleString(undefined, { maximumFractionDigits: 1 });
     const lu = p.landuse || "unknown";
     const areaHa = p.area != null ? (p.area / 10000).toFixed(2) : null;
-    const fertilizer = p.fertilizer != null ? Number(p.fertilizer).toLocaleString(undefined, { maximumFractionDigits: 1 }) : null;
     const name = p.name || p["name:en"] || null;
 
     const label = lu
@@ -472,18 +535,45 @@ export default function LandUseMap({
       .replace(/\b\w/g, (c) => c.toUpperCase());
 
     let html = `<div style="min-width:180px">`;
-    if (name) html += `<strong>${name}</strong><br/>`;
-    html += `<span style="color:#555">${label}</span>`;
+    if (name) html += `<strong>${esc(name)}</strong><br/>`;
+    html += `<span style="color:#555">${esc(label)}</span>`;
     if (areaHa) html += `<div style="margin-top:6px"><strong>Area:</strong> ${areaHa} ha</div>`;
-    if (fertilizer) html += `<div style="margin-top:4px"><strong>Fertilizer share:</strong> ${fertilizer} kg N/year</div>`;
+    if (areaHa && p.fullArea != null && p.fullArea - p.area > 1) {
+      html += `<div style="color:#666;font-size:11px">inside demand area, of ${(p.fullArea / 10000).toFixed(2)} ha plot</div>`;
+    }
+    if (areaHa) {
+      html += `<div style="margin-top:4px"><strong>Demand:</strong> ${fmtKg(demand.n)} kg N · ${fmtKg(demand.p)} kg P/year</div>`;
+      html += `<div style="color:#666;font-size:11px">at ${rate.n} kg N / ${rate.p} kg P per ha</div>`;
+    }
+    if (p.coverageN != null) {
+      const pct = (v) => `${(v * 100).toFixed(0)}%`;
+      html += `<div style="margin-top:6px"><strong>Covered:</strong> ${pct(p.coverageN)} N · ${pct(p.coverageP)} P</div>`;
+      if (p.coverageN < 1 || p.coverageP < 1) {
+        html += `<div style="color:#c0261b">Unmet: ${fmtKg(p.demandN - p.coveredN)} kg N · ${fmtKg(p.demandP - p.coveredP)} kg P/year</div>`;
+      }
+      if (p.suppliers?.length) {
+        html += `<div style="margin-top:4px"><strong>Supplied by:</strong></div>`;
+        for (const s of p.suppliers) {
+          html += `<div style="font-size:11px">${esc(s.name || s.kind)} · ${s.km.toFixed(1)} km · ${fmtKg(s.kgN)} kg N, ${fmtKg(s.kgP)} kg P</div>`;
+        }
+        if (p.supplierCount > p.suppliers.length) {
+          html += `<div style="font-size:11px;color:#666">+${p.supplierCount - p.suppliers.length} more</div>`;
+        }
+      }
+    }
     html += `</div>`;
 
-    layer.bindPopup(html);
+    return html;
+  }
+
+  function onEachPlot(feature, layer) {
+    layer.bindPopup(plotPopup);
   }
 
   return (
-    <MapContainer center={initialCenter} zoom={12} style={{ height: "100vh", width: "100%" }}>
+    <MapContainer center={initialCenter} zoom={12} preferCanvas style={{ height: "100vh", width: "100%" }}>
       <RecenterOnChange targetCenter={safeCenter} zoom={12} />
+      <FitToBoundary boundary={fixedCenter ? null : boundary} />
 
       <TileLayer
         className="base-map"
@@ -491,122 +581,59 @@ export default function LandUseMap({
         attribution="© OpenStreetMap contributors"
       />
 
-      {/* ✅ thin circles */}
+      {/* ✅ thin circles (not used for demand while a custom area is active) */}
       <LayerGroup key={circleKey}>
-        {radiusMeters > 0 &&
-          (supplyCircleCenters || []).map((p, i) => {
-            const lat = Number(p.lat);
-            const lon = Number(p.lon);
-            if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
-
-            return (
-              <Circle
-                key={`circ-${i}`}
-                center={[lat, lon]}
-                radius={radiusMeters}
-                pathOptions={{ color: "#5d5d5d72", weight: 1, opacity: 0.5, fillOpacity: 0 }}
-              />
-            );
-          })}
+        {!demandArea && (supplyCircleCenters || []).map((p, i) => {
+          const lat = Number(p.lat);
+          const lon = Number(p.lon);
+          const radiusMeters = radiusMetersFor(p);
+          if (!Number.isFinite(lat) || !Number.isFinite(lon) || radiusMeters <= 0) return null;
+
+          return (
+            <Circle
+              key={`circ-${i}`}
+              center={[lat, lon]}
+              radius={radiusMeters}
+              pathOptions={{ color: "#5d5d5d72", weight: 1, opacity: 0.5, fillOpacity: 0 }}
+            />
+          );
+        })}
       </LayerGroup>
 
+      {boundary && (
+        <GeoJSON
+          key={`nuts2-${boundary.properties?.nuts2_id || ""}`}
+          data={boundary}
+          style={BOUNDARY_STYLE}
+          interactive={false}
+        />
+      )}
+
+      {demandArea && onDemandAreaChange && <DemandAreaDraw area={demandArea} onChange={onDemandAreaChange} />}
+
+      {scenario && <ScenarioFacilities {...scenario} />}
+
       {/* polygons — rendered individually so new ones appear without remounting existing */}
       {(features || []).map((f, i) => (
-        <GeoJSON
-          key={`plot-${i}`}
-          data={f}
+        <PlotLayer
+          key={f.id ?? `plot-${i}`}
+          feature={f}
+          rates={demandRates}
           style={stylePlot}
           onEachFeature={onEachPlot}
         />
       ))}
 
-      {/* WTP markers */}
-      {(locationRows || []).map((pt, i) => {
-        const lat = asNum(pt.lat ?? pt.__lat ?? pt.latitude ?? pt.Latitude);
-        const lon = asNum(pt.lon ?? pt.__lon ?? pt.longitude ?? pt.Longitude ?? pt.lng);
-        if (lat == null || lon == null) return null;
-
-        const displayName = pickWtpName(pt, `WTP ${i + 1}`);
-        const pe = pickPeValue(pt);
-        const prod = pickWtpProduction(pt);
-        const prodP = pickWtpProductionP(pt);
-
-        return (
-          <Marker key={`wtp-${i}`} position={[lat, lon]} icon={wtpIcon}>
-            <Popup>
-              <div style={{ minWidth: 240 }}>
-                <strong>{displayName}</strong>
-                {pt?.province && pt?.country && (
-                  <div style={{ marginTop: 4, color: "#444" }}>
-                    {pt.province}, {pt.country}
-                  </div>
-                )}
-                {pe != null && (
-                  <div style={{ marginTop: 8 }}>
-                    <strong>Capacity (p.e):</strong> {pe.toLocaleString()}
-                  </div>
-                )}
-                {prod != null && (
-                  <div style={{ marginTop: 4 }}>
-                    <strong>Kg N/year:</strong> {prod.toLocaleString()}
-                  </div>
-                )}
-                {prodP != null && (
-                  <div style={{ marginTop: 4 }}>
-                    <strong>Kg P/year:</strong> {prodP.toLocaleString()}
-                  </div>
-                )}
-                <div style={{ marginTop: 8, color: "#666" }}>
-                  Lat/Lon: {lat.toFixed(5)}, {lon.toFixed(5)}
-                </div>
-              </div>
-            </Popup>
-          </Marker>
-        );
-      })}
-
-      {/* extra dataset markers */}
-      <LayerGroup>
-        {(extraPoints || []).map((p, i) => {
-          const lat = asNum(p.lat);
-          const lon = asNum(p.lon);
-          if (lat == null || lon == null) return null;
-
-          const color = datasetColorFor(p);
-          const label = p.__label || p.label || p.__type || "Dataset";
-          const kg = asNum(p.kg_n_per_year) ?? 0;
-          const kgP = asNum(p.kg_p_per_year) ?? 0;
-
-          return (
-            <Marker
-              key={`extra-${p.__type || "x"}-${i}`}
-              position={[lat, lon]}
-              icon={createColoredSquareIcon(color)}
-            >
-              <Popup>
-                <div style={{ minWidth: 240 }}>
-                  <strong>{p.name || "Location"}</strong>
-                  <div style={{ marginTop: 4, color: "#444" }}>{label}</div>
-                  {(p.province || p.country) && (
-                    <div style={{ marginTop: 6, color: "#666" }}>
-                      {[p.province, p.country].filter(Boolean).join(", ")}
-                    </div>
-                  )}
-                  <div style={{ marginTop: 8 }}>
-                    <strong>Kg N/year:</strong> {kg.toLocaleString()}
-                  </div>
-                  <div style={{ marginTop: 4 }}>
-                    <strong>Kg P/year:</strong> {kgP.toLocaleString()}
-                  </div>
-                  <div style={{ marginTop: 8, color: "#666" }}>
-                    Lat/Lon: {lat.toFixed(5)}, {lon.toFixed(5)}
-                  </div>
-                </div>
-              </Popup>
-            </Marker>
-          );
-        })}
-      </LayerGroup>
+      {/* supply points — one clustered, colour-coded layer per source */}
+      {pointLayers.map((l) => (
+        <ClusteredPoints
+          key={l.key}
+          points={l.points}
+          color={l.color}
+          popupFor={l.popupFor}
+          radius={markerRadius}
+        />
+      ))}
     </MapContainer>
   );
 }
@@ -0,0 +1,97 @@
+// src/components/ClusteredPoints.jsx
+// One colour-coded supply layer (WTPs or a dataset) as clustered canvas
+// markers. Thousands of points stay smooth: markers are canvas circles, added
+// in chunks, and popups are built only when opened. Cluster badges show the
+// point count and the summed kg N / kg P of the points inside.
+import { useEffect, useMemo, useRef } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import "leaflet.markercluster";
+import "leaflet.markercluster/dist/MarkerCluster.css";
+
+// Shared canvas renderer for all point layers
+const pointRenderer = L.canvas({ padding: 0.5 });
+
+function compactKg(v) {
+  const n = Number(v) || 0;
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(n >= 1e4 ? 0 : 1)}k`;
+  return n.toFixed(0);
+}
+
+function clusterIcon(color) {
+  return (cluster) => {
+    let n = 0;
+    let p = 0;
+    const children = cluster.getAllChildMarkers();
+    for (const m of children) {
+      n += m.options.kgN || 0;
+      p += m.options.kgP || 0;
+    }
+    const size = children.length < 10 ? 34 : children.length < 100 ? 42 : 50;
+    return L.divIcon({
+      className: "",
+      iconSize: [size, size],
+      html:
+        `<div class="clusterBadge" style="width:${size}px;height:${size}px;border-color:${color}">` +
+        `<b>${children.length}</b><span>${compactKg(n)} N</span><span>${compactKg(p)} P</span></div>`,
+    });
+  };
+}
+
+/**
+ * points   [{ lat, lon, kgN, kgP, ... }]
+ * color    fill colour of the markers and cluster badge border
+ * popupFor (point) => HTML string, called when a marker's popup opens
+ */
+export default function ClusteredPoints({ points = [], color = "#444444", popupFor = null, radius = 6 }) {
+  const map = useMap();
+  const groupRef = useRef(null);
+
+  const iconCreateFunction = useMemo(() => clusterIcon(color), [color]);
+
+  useEffect(() => {
+    const group = L.markerClusterGroup({
+      chunkedLoading: true,
+      showCoverageOnHover: false,
+      maxClusterRadius: 45,
+      disableClusteringAtZoom: 15,
+      iconCreateFunction,
+    });
+    groupRef.current = group;
+    map.addLayer(group);
+    return () => {
+      map.removeLayer(group);
+      groupRef.current = null;
+    };
+  }, [map, iconCreateFunction]);
+
+  useEffect(() => {
+    const group = groupRef.current;
+    if (!group) return;
+    group.clearLayers();
+
+    const markers = [];
+    for (const p of points) {
+      const lat = Number(p.lat);
+      const lon = Number(p.lon);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+      const m = L.circleMarker([lat, lon], {
+        renderer: pointRenderer,
+        radius,
+        color: "#ffffff",
+        weight: 1,
+        fillColor: color,
+        fillOpacity: 0.95,
+        kgN: Number(p.kgN) || 0,
+        kgP: Number(p.kgP) || 0,
+      });
+      if (popupFor) m.bindPopup(() => popupFor(p), { minWidth: 240 });
+      markers.push(m);
+    }
+    group.addLayers(markers);
+  }, [points, color, popupFor, radius, iconCreateFunction]);
+
+  return null;
+}
@@ -0,0 +1,163 @@
+// src/components/ColumnMappingStep.jsx
+import { useEffect, useMemo, useState } from "react";
+import Papa from "papaparse";
+import { ALLOWED_COUNTRIES } from "../utils/countries";
+import {
+  MAPPING_FIELDS,
+  emptyMapping,
+  guessColumnMapping,
+  mappingHasCoordinates,
+  checkMappedRows,
+} from "../utils/columnMapping";
+
+const PREVIEW_ROWS = 6;
+
+/**
+ * One file of the upload wizard: parses the CSV in the browser, shows a
+ * preview, lets the uploader map their columns and flags rows that won't show
+ * up on the map. Calls onConfirm(mapping) once coordinates are mapped.
+ */
+export default function ColumnMappingStep({ file, onConfirm = () => {}, onSkip = () => {} }) {
+  const [parsed, setParsed] = useState({ loading: true, error: "", headers: [], rows: [] });
+  const [mapping, setMapping] = useState(emptyMapping);
+
+  useEffect(() => {
+    let cancelled = false;
+    setParsed({ loading: true, error: "", headers: [], rows: [] });
+
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      dynamicTyping: false,
+      complete: (res) => {
+        if (cancelled) return;
+        const headers = (res.meta?.fields || []).filter((h) => h !== "");
+        const rows = (res.data || []).filter((r) => r && Object.keys(r).length);
+        setParsed({ loading: false, error: headers.length ? "" : "No header row found.", headers, rows });
+        setMapping({ ...emptyMapping(), columns: guessColumnMapping(headers) });
+      },
+      error: (err) => {
+        if (cancelled) return;
+        setParsed({ loading: false, error: err?.message || "Could not parse CSV", headers: [], rows: [] });
+      },
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  const check = useMemo(() => checkMappedRows(parsed.rows, mapping), [parsed.rows, mapping]);
+  const hasCoords = mappingHasCoordinates(mapping);
+
+  function setColumn(fieldId, col) {
+    setMapping((m) => ({ ...m, columns: { ...m.columns, [fieldId]: col || undefined } }));
+  }
+
+  function setFixed(k, v) {
+    setMapping((m) => ({ ...m, fixed: { ...m.fixed, [k]: v } }));
+  }
+
+  if (parsed.loading) return <div className="uploadHint">Reading {file.name}…</div>;
+
+  return (
+    <div className="mapStep">
+      <div className="uploadListHead">
+        <span>Map columns — {file.name}</span>
+        <span className="uploadItemSize">{parsed.rows.length.toLocaleString()} rows</span>
+      </div>
+
+      {parsed.error && <div className="uploadErr">{parsed.error}</div>}
+
+      {!parsed.error && (
+        <>
+          <div className="mapPreview">
+            <table>
+              <thead>
+                <tr>
+                  {parsed.headers.map((h) => (
+                    <th key={h}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {parsed.rows.slice(0, PREVIEW_ROWS).map((r, i) => (
+                  <tr key={i} className={check.flagged.has(i) ? "isFlagged" : ""} title={check.flagged.get(i) || ""}>
+                    {parsed.headers.map((h) => (
+                      <td key={h}>{r[h]}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mapFields">
+            {MAPPING_FIELDS.map((f) => (
+              <label key={f.id} className="panelRow">
+                <span style={{ flex: 1 }}>{f.label}</span>
+                <select value={mapping.columns[f.id] || ""} onChange={(e) => setColumn(f.id, e.target.value)}>
+                  <option value="">— none —</option>
+                  {parsed.headers.map((h) => (
+                    <option key={h} value={h}>
+                      {h}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+
+            {!mapping.columns.country && (
+              <label className="panelRow">
+                <span style={{ flex: 1 }}>All rows are in</span>
+                <select value={mapping.fixed.country} onChange={(e) => setFixed("country", e.target.value)}>
+                  <option value="">— unknown —</option>
+                  {[...ALLOWED_COUNTRIES].map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            {!mapping.columns.province && (
+              <label className="panelRow">
+                <span style={{ flex: 1 }}>Province for all rows</span>
+                <input
+                  className="panelInput"
+                  value={mapping.fixed.province}
+                  onChange={(e) => setFixed("province", e.target.value)}
+                  placeholder="e.g. Campania"
+                />
+              </label>
+            )}
+          </div>
+
+          {!hasCoords && <div className="uploadErr">Map latitude + longitude (or a combined coordinates column).</div>}
+          {hasCoords && check.missingCoords > 0 && (
+            <div className="uploadErr">{check.missingCoords.toLocaleString()} rows have no usable coordinates.</div>
+          )}
+          {hasCoords && check.outside > 0 && (
+            <div className="uploadErr">
+              {check.outside.toLocaleString()} of {check.total.toLocaleString()} rows fall outside{" "}
+              {[...ALLOWED_COUNTRIES].join(", ")} and won't appear on the map.
+            </div>
+          )}
+          {!mapping.columns.kgN && !mapping.columns.kgP && (
+            <div className="uploadHint">No nutrient columns mapped — points will count as 0 kg N/P.</div>
+          )}
+        </>
+      )}
+
+      <div className="uploadPickRow">
+        <button type="button" className="uploadBtn" onClick={() => onConfirm(mapping)} disabled={!!parsed.error || !hasCoords}>
+          Use this mapping
+        </button>
+        <button type="button" className="uploadLinkBtn" onClick={onSkip}>
+          Remove file
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,10 @@
+// src/components/DataProgress.jsx
+// Progress line of the running data-worker tasks ("Parsing wtp_all.csv… 42%").
+// A separate component so progress updates don't re-render the page around it.
+import { useDataProgress, formatDataProgress } from "../hooks/useDataProgress";
+
+export default function DataProgress({ className = "", fallback = null }) {
+  const text = formatDataProgress(useDataProgress());
+  if (!text) return fallback;
+  return <div className={className}>{text}</div>;
+}
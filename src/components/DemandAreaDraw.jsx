@@ -0,0 +1,208 @@
+// src/components/DemandAreaDraw.jsx
+// Map tool for the custom demand area: draw polygons by clicking vertices,
+// drag vertices to edit, click a polygon to delete it, or upload GeoJSON.
+// Rendered inside <MapContainer>; the area itself is owned by the page.
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Polygon, Polyline, CircleMarker, Marker, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import {
+  EMPTY_AREA,
+  parseDemandAreaGeoJson,
+  polygonFromLatLngs,
+  outerRingLatLngs,
+  withOuterRing,
+} from "../utils/demandArea";
+
+const AREA_STYLE = { color: "#1f33ff", weight: 2, fillColor: "#1f33ff", fillOpacity: 0.06, dashArray: "6 4" };
+const DRAFT_STYLE = { color: "#1f33ff", weight: 2, dashArray: "4 4" };
+
+const vertexIcon = L.divIcon({
+  className: "",
+  html: '<div style="width:10px;height:10px;border-radius:50%;background:#fff;border:2px solid #1f33ff"></div>',
+  iconSize: [14, 14],
+  iconAnchor: [7, 7],
+});
+
+const toLatLngs = (f) =>
+  (f.geometry?.coordinates || []).map((ring) => ring.map(([lon, lat]) => [lat, lon]));
+
+export default function DemandAreaDraw({ area = EMPTY_AREA, onChange = () => {} }) {
+  const map = useMap();
+  const barRef = useRef(null);
+  const fileRef = useRef(null);
+
+  // idle | draw | edit | delete
+  const [mode, setMode] = useState("idle");
+  const [draft, setDraft] = useState([]);
+  const [error, setError] = useState("");
+
+  const features = useMemo(() => area?.features || [], [area]);
+
+  // Clicks on the toolbar must not add vertices / pan the map
+  useEffect(() => {
+    if (!barRef.current) return;
+    L.DomEvent.disableClickPropagation(barRef.current);
+    L.DomEvent.disableScrollPropagation(barRef.current);
+  }, []);
+
+  // Double click finishes a polygon instead of zooming in
+  useEffect(() => {
+    if (mode !== "draw") return;
+    map.doubleClickZoom.disable();
+    map.getContainer().style.cursor = "crosshair";
+    return () => {
+      map.doubleClickZoom.enable();
+      map.getContainer().style.cursor = "";
+    };
+  }, [map, mode]);
+
+  const finishDraft = (pts = draft) => {
+    const f = pts.length >= 3 ? polygonFromLatLngs(pts) : null;
+    if (f) onChange({ type: "FeatureCollection", features: [...features, f] });
+    setDraft([]);
+    setMode("idle");
+  };
+
+  useMapEvents({
+    click(e) {
+      if (mode === "draw") setDraft((d) => [...d, [e.latlng.lat, e.latlng.lng]]);
+    },
+    dblclick() {
+      // the two clicks of a double click have already been added as vertices
+      if (mode === "draw") finishDraft(draft.slice(0, -1));
+    },
+    keydown(e) {
+      if (e.originalEvent.key !== "Escape") return;
+      setDraft([]);
+      setMode("idle");
+    },
+  });
+
+  const switchMode = (m) => {
+    setDraft([]);
+    setError("");
+    setMode((cur) => (cur === m ? "idle" : m));
+  };
+
+  const removeFeature = (i) => {
+    onChange({ type: "FeatureCollection", features: features.filter((_, j) => j !== i) });
+  };
+
+  const moveVertex = (fi, vi, latlng) => {
+    const pts = outerRingLatLngs(features[fi]);
+    pts[vi] = [latlng.lat, latlng.lng];
+    onChange({
+      type: "FeatureCollection",
+      features: features.map((f, j) => (j === fi ? withOuterRing(f, pts) : f)),
+    });
+  };
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    try {
+      const parsed = parseDemandAreaGeoJson(JSON.parse(await file.text()));
+      onChange({ type: "FeatureCollection", features: [...features, ...parsed.features] });
+      map.fitBounds(L.geoJSON(parsed).getBounds(), { padding: [24, 24] });
+    } catch (err) {
+      setError(err instanceof SyntaxError ? "Not a valid JSON file." : err.message);
+    }
+  };
+
+  const hint =
+    mode === "draw"
+      ? "Click to add points; double-click or Finish to close the polygon. Esc cancels."
+      : mode === "edit"
+      ? "Drag the white points to reshape the area."
+      : mode === "delete"
+      ? "Click a polygon to remove it."
+      : !features.length
+      ? "Draw a polygon or upload GeoJSON to define the demand area."
+      : "";
+
+  return (
+    <>
+      {features.map((f, i) => (
+        <Polygon
+          key={`area-${i}-${mode}`}
+          positions={toLatLngs(f)}
+          pathOptions={mode === "delete" ? { ...AREA_STYLE, color: "#c0261b", fillColor: "#c0261b" } : AREA_STYLE}
+          interactive={mode === "delete"}
+          eventHandlers={mode === "delete" ? { click: () => removeFeature(i) } : {}}
+        />
+      ))}
+
+      {mode === "edit" &&
+        features.flatMap((f, fi) =>
+          outerRingLatLngs(f).map((pt, vi) => (
+            <Marker
+              key={`v-${fi}-${vi}-${pt[0]}-${pt[1]}`}
+              position={pt}
+              icon={vertexIcon}
+              draggable
+              eventHandlers={{ dragend: (e) => moveVertex(fi, vi, e.target.getLatLng()) }}
+            />
+          ))
+        )}
+
+      {mode === "draw" && draft.length > 0 && (
+        <>
+          <Polyline positions={draft} pathOptions={DRAFT_STYLE} />
+          {draft.map((pt, i) => (
+            <CircleMarker
+              key={`d-${i}`}
+              center={pt}
+              radius={4}
+              pathOptions={{ color: "#1f33ff", fillColor: "#fff", fillOpacity: 1, weight: 2 }}
+              eventHandlers={i === 0 && draft.length >= 3 ? { click: () => finishDraft() } : {}}
+            />
+          ))}
+        </>
+      )}
+
+      <div ref={barRef} className="drawToolbar">
+        <div className="drawToolbarTitle">Demand area</div>
+        <div className="drawToolbarBtns">
+          <button type="button" className={mode === "draw" ? "isActive" : ""} onClick={() => switchMode("draw")}>
+            Draw
+          </button>
+          {mode === "draw" && (
+            <button type="button" disabled={draft.length < 3} onClick={() => finishDraft()}>
+              Finish
+            </button>
+          )}
+          <button
+            type="button"
+            className={mode === "edit" ? "isActive" : ""}
+            disabled={!features.length}
+            onClick={() => switchMode("edit")}
+          >
+            Edit
+          </button>
+          <button
+            type="button"
+            className={mode === "delete" ? "isActive" : ""}
+            disabled={!features.length}
+            onClick={() => switchMode("delete")}
+          >
+            Delete
+          </button>
+          <button type="button" onClick={() => fileRef.current?.click()}>
+            Upload GeoJSON
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".geojson,.json,application/geo+json,application/json"
+            style={{ display: "none" }}
+            onChange={onFile}
+          />
+        </div>
+        {hint && <div className="drawToolbarHint">{hint}</div>}
+        {error && <div className="drawToolbarError">{error}</div>}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,76 @@
+// src/components/ExportPanel.jsx
+import { useState } from "react";
+import {
+  reportFilename,
+  reportToCsv,
+  reportToJson,
+  reportToHtml,
+  downloadText,
+} from "../utils/scenarioReport";
+
+/**
+ * Export of the current supply-vs-demand scenario. `buildReport` is called on
+ * click so the file reflects the dashboard at that moment.
+ */
+export default function ExportPanel({ buildReport = () => null }) {
+  const [open, setOpen] = useState(false);
+  const [err, setErr] = useState("");
+
+  function exportAs(kind) {
+    setErr("");
+    const report = buildReport();
+    if (!report) return;
+
+    if (kind === "csv") downloadText(reportFilename(report, "csv"), reportToCsv(report), "text/csv");
+    else if (kind === "json") downloadText(reportFilename(report, "json"), reportToJson(report), "application/json");
+    else {
+      const html = reportToHtml(report);
+      const w = window.open("", "_blank");
+      if (!w) {
+        // popup blocked — hand the page over as a file instead
+        downloadText(reportFilename(report, "html"), html, "text/html");
+        setErr("Pop-up blocked: the summary was downloaded as an HTML file instead.");
+        return;
+      }
+      w.document.open();
+      w.document.write(html);
+      w.document.close();
+      // Print once the written page has loaded — printing straight after
+      // close() gives a blank page in some browsers
+      const printPage = () => {
+        w.focus();
+        w.print();
+      };
+      if (w.document.readyState === "complete") w.setTimeout(printPage, 0);
+      else w.addEventListener("load", printPage, { once: true });
+    }
+  }
+
+  return (
+    <div className="panel">
+      <button type="button" className="uploadToggle" onClick={() => setOpen((o) => !o)}>
+        ⬇ EXPORT SCENARIO {open ? "▲" : "▼"}
+      </button>
+
+      {open && (
+        <div className="uploadBody">
+          <p className="panelSub" style={{ marginTop: 8 }}>
+            Province, radius, enabled sources and crop types with their supply, demand and coverage.
+          </p>
+          <div className="uploadPickRow">
+            <button type="button" className="uploadBtn" onClick={() => exportAs("csv")}>
+              CSV
+            </button>
+            <button type="button" className="uploadBtn" onClick={() => exportAs("json")}>
+              JSON
+            </button>
+            <button type="button" className="uploadBtn" onClick={() => exportAs("html")}>
+              Print / HTML
+            </button>
+          </div>
+          {err && <div className="uploadErr">{err}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+// src/components/RegionChoropleth.jsx
+// Overview map of the NUTS-2 regions, coloured by a WTP statistic
+// (kg N, facility count or kg P). Clicking a region calls onSelect(nuts2_id).
+// The kg are the plants' gross load (region index), before the recovery
+// model the map page applies.
+// Approximate outlines (offline build, not the official borders) are dashed.
+import { useMemo, useState } from "react";
+import { MapContainer, TileLayer, GeoJSON } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import { allowedCountriesBounds } from "../utils/countries";
+import { nuts2Region, regionLabel } from "../utils/nuts2Regions";
+import { isOfficialBoundary } from "../hooks/useNuts2Boundary";
+
+export const METRICS = [
+  { id: "kgN", label: "N load (gross)", unit: "kg N/yr gross load" },
+  { id: "count", label: "Facilities", unit: "WTPs" },
+  { id: "kgP", label: "P load (gross)", unit: "kg P/yr gross load" },
+];
+
+const CLASS_COLORS = ["#e6e9ff", "#b8c0ff", "#8391ff", "#5063ff", "#1f33ff"];
+const NO_DATA = "#d6d6d6";
+
+// Fallback extent when the country configuration has no boxes
+// (overseas regions are still clickable when panned to)
+const EUROPE_BOUNDS = [
+  [34.5, -5.5],
+  [51.5, 30.0],
+];
+
+const fmt = (v) => Number(v || 0).toLocaleString(undefined, { maximumFractionDigits: 0 });
+
+// Quantile class breaks (upper bounds) over the regions that have data
+function quantileBreaks(values, k = CLASS_COLORS.length) {
+  const s = values.filter((v) => v > 0).sort((a, b) => a - b);
+  if (!s.length) return [];
+  return Array.from({ length: k }, (_, i) => s[Math.min(s.length - 1, Math.ceil(((i + 1) * s.length) / k) - 1)]);
+}
+
+function classColor(v, breaks) {
+  if (!(v > 0) || !breaks.length) return NO_DATA;
+  const i = breaks.findIndex((b) => v <= b);
+  return CLASS_COLORS[i === -1 ? CLASS_COLORS.length - 1 : i];
+}
+
+export default function RegionChoropleth({ boundaries, stats = {}, onSelect = () => {} }) {
+  const [metric, setMetric] = useState(METRICS[0].id);
+  const m = METRICS.find((x) => x.id === metric);
+  const bounds = useMemo(() => allowedCountriesBounds() || EUROPE_BOUNDS, []);
+
+  const breaks = useMemo(() => quantileBreaks(Object.values(stats).map((s) => s[metric] || 0)), [stats, metric]);
+  const approximate = useMemo(
+    () => (boundaries?.features || []).some((f) => !isOfficialBoundary(f)),
+    [boundaries]
+  );
+
+  const style = (f) => ({
+    fillColor: classColor(stats[f.properties?.nuts2_id]?.[metric], breaks),
+    fillOpacity: 0.8,
+    color: "#ffffff",
+    weight: 0.8,
+    dashArray: isOfficialBoundary(f) ? null : "3 3",
+  });
+
+  function onEachRegion(f, layer) {
+    const id = f.properties?.nuts2_id;
+    const s = stats[id];
+    const name = nuts2Region(id) ? regionLabel(id) : s?.province || f.properties?.name || id;
+
+    layer.bindTooltip(
+      `<strong>${name}</strong> <span style="opacity:.7">${id}</span><br/>` +
+        (isOfficialBoundary(f) ? "" : `<span style="opacity:.7">approximate outline</span><br/>`) +
+        (s
+          ? `${fmt(s.kgN)} kg N/yr · ${fmt(s.kgP)} kg P/yr gross WTP load<br/>${fmt(s.count)} WTPs`
+          : "no WTP data"),
+      { sticky: true }
+    );
+
+    layer.on({
+      mouseover: () => layer.setStyle({ weight: 2.5, color: "#1f33ff" }),
+      mouseout: () => layer.setStyle({ weight: 0.8, color: "#ffffff" }),
+      click: () => {
+        if (s) onSelect(id);
+      },
+    });
+  }
+
+  return (
+    <div className="choropleth">
+      <div className="choroplethBar">
+        {METRICS.map((x) => (
+          <button
+            key={x.id}
+            type="button"
+            className={x.id === metric ? "isActive" : ""}
+            onClick={() => setMetric(x.id)}
+          >
+            {x.label}
+          </button>
+        ))}
+      </div>
+
+      <MapContainer bounds={bounds} style={{ height: 380, width: "100%" }} scrollWheelZoom={false}>
+        <TileLayer
+          className="base-map"
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          attribution="© OpenStreetMap contributors"
+        />
+        {boundaries && (
+          <GeoJSON
+            key={`${metric}-${Object.keys(stats).length}`}
+            data={boundaries}
+            style={style}
+            onEachFeature={onEachRegion}
+          />
+        )}
+      </MapContainer>
+
+      {breaks.length > 0 && (
+        <div className="choroplethLegend">
+          {breaks.map((b, i) => (
+            <span key={i}>
+              <span className="legendSwatch" style={{ backgroundColor: CLASS_COLORS[i] }} />≤ {fmt(b)}
+            </span>
+          ))}
+          <span>{m.unit}</span>
+        </div>
+      )}
+      {approximate && (
+        <div className="choroplethLegend">
+          Dashed outlines are approximate (derived from WTP locations), not the official NUTS-2 borders.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+// src/components/ScenarioFacilities.jsx
+// Map tool for the what-if scenario: pick a facility type and its visitors /
+// capacity, click the map to place a hypothetical facility, drag it to move
+// it, open it to edit or delete it. Rendered inside <MapContainer>; the
+// facilities themselves are owned by the page (useScenarioFacilities).
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Marker, Popup, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { kgForVisitors, placeableDatasets } from "../utils/scenarioFacilities";
+
+const fmtKg = (v) => Number(v || 0).toLocaleString(undefined, { maximumFractionDigits: 1 });
+
+// Dashed ring in the dataset colour: tells hypothetical sites apart from the CSV points
+function scenarioIcon(d) {
+  const color = (d?.color || "#1f33ff").slice(0, 7);
+  return L.divIcon({
+    className: "",
+    html: `<div class="scenarioMarker" style="border-color:${color}">${d?.icon || "+"}</div>`,
+    iconSize: [26, 26],
+    iconAnchor: [13, 13],
+    popupAnchor: [0, -12],
+  });
+}
+
+export default function ScenarioFacilities({
+  facilities = [],
+  datasets = [],
+  onAdd = () => {},
+  onChange = () => {},
+  onRemove = () => {},
+  onClear = () => {},
+}) {
+  const map = useMap();
+  const barRef = useRef(null);
+
+  const types = useMemo(() => placeableDatasets(datasets), [datasets]);
+  const byKey = useMemo(() => new Map(types.map((d) => [d.key, d])), [types]);
+  const icons = useMemo(() => new Map(types.map((d) => [d.key, scenarioIcon(d)])), [types]);
+
+  const [placing, setPlacing] = useState(false);
+  const [type, setType] = useState("");
+  const [visitors, setVisitors] = useState(1000);
+
+  const current = byKey.get(type) || types[0] || null;
+  const preview = kgForVisitors(current, visitors);
+
+  // Clicks on the toolbar must not place a facility / pan the map
+  useEffect(() => {
+    if (!barRef.current) return;
+    L.DomEvent.disableClickPropagation(barRef.current);
+    L.DomEvent.disableScrollPropagation(barRef.current);
+  }, []);
+
+  useEffect(() => {
+    if (!placing) return;
+    map.getContainer().style.cursor = "crosshair";
+    return () => {
+      map.getContainer().style.cursor = "";
+    };
+  }, [map, placing]);
+
+  useMapEvents({
+    click(e) {
+      if (!placing || !current) return;
+      onAdd({ type: current.key, lat: e.latlng.lat, lon: e.latlng.lng, visitors });
+      setPlacing(false);
+    },
+    keydown(e) {
+      if (e.originalEvent.key === "Escape") setPlacing(false);
+    },
+  });
+
+  if (!types.length) return null;
+
+  return (
+    <>
+      {facilities.map((f) => {
+        const d = byKey.get(f.type);
+        if (!d) return null;
+        const kg = kgForVisitors(d, f.visitors);
+        return (
+          <Marker
+            key={f.id}
+            position={[f.lat, f.lon]}
+            icon={icons.get(f.type)}
+            draggable
+            eventHandlers={{
+              dragend: (e) => {
+                const p = e.target.getLatLng();
+                onChange(f.id, { lat: p.lat, lon: p.lng });
+              },
+            }}
+          >
+            <Popup>
+              <div className="scenarioPopup">
+                <div className="scenarioTag">Hypothetical</div>
+                <input
+                  className="panelInput"
+                  placeholder={`New ${d.label.toLowerCase()}`}
+                  value={f.name || ""}
+                  onChange={(e) => onChange(f.id, { name: e.target.value })}
+                />
+                <div style={{ marginTop: 6, color: "#444" }}>{[d.icon, d.label].filter(Boolean).join(" ")}</div>
+                <label style={{ display: "block", marginTop: 8 }}>
+                  Visitors / capacity{" "}
+                  <input
+                    className="panelInput"
+                    type="number"
+                    min="0"
+                    step="100"
+                    value={f.visitors}
+                    onChange={(e) => onChange(f.id, { visitors: Math.max(0, Number(e.target.value) || 0) })}
+                  />
+                </label>
+                <div style={{ marginTop: 8 }}>
+                  <strong>Kg N/year:</strong> {fmtKg(kg.n)} · <strong>Kg P/year:</strong> {fmtKg(kg.p)}
+                </div>
+                <button type="button" className="uploadLinkBtn" onClick={() => onRemove(f.id)}>
+                  Delete
+                </button>
+              </div>
+            </Popup>
+          </Marker>
+        );
+      })}
+
+      <div ref={barRef} className="drawToolbar scenarioToolbar">
+        <div className="drawToolbarTitle">What-if facilities</div>
+        <div className="drawToolbarBtns">
+          <select value={current?.key || ""} onChange={(e) => setType(e.target.value)}>
+            {types.map((d) => (
+              <option key={d.key} value={d.key}>
+                {d.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="100"
+            title="Visitors / capacity per year"
+            value={visitors}
+            onChange={(e) => setVisitors(Math.max(0, Number(e.target.value) || 0))}
+          />
+          <button type="button" className={placing ? "isActive" : ""} onClick={() => setPlacing((p) => !p)}>
+            Place
+          </button>
+          <button type="button" disabled={!facilities.length} onClick={onClear}>
+            Clear
+          </button>
+        </div>
+        <div className="drawToolbarHint">
+          {placing
+            ? "Click the map to place it. Esc cancels."
+            : `≈ ${fmtKg(preview.n)} kg N, ${fmtKg(preview.p)} kg P per year. Drag a placed facility to move it; click it to edit or delete.`}
+        </div>
+      </div>
+    </>
+  );
+}
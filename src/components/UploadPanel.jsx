@@ -7,6 +7,8 @@ import {
   uploadCsv,
   listUploads,
 } from "../utils/githubStorage";
+import ColumnMappingStep from "./ColumnMappingStep";
+import { mappingFilenameFor } from "../utils/columnMapping";
 
 function fmtSize(bytes) {
   if (bytes == null) return "";
@@ -15,14 +17,48 @@ function fmtSize(bytes) {
   return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
-export default function UploadPanel() {
+const REPORT_PREVIEW_ERRORS = 5;
+
+// Stored CSVs, each with its `<name>.mapping.json` sidecar (if any) attached
+// as `mapping` instead of listed as a file of its own
+function withMappings(items) {
+  const list = Array.isArray(items) ? items : [];
+  const byName = new Map(list.map((f) => [f.name, f]));
+  return list
+    .filter((f) => !/\.mapping\.json$/i.test(f.name || ""))
+    .map((f) => ({ ...f, mapping: byName.get(mappingFilenameFor(f.name)) || null }));
+}
+
+// Server validation summary for one file (accepted / rejected rows + first errors).
+function ValidationReport({ name, report }) {
+  if (!report) return null;
+  return (
+    <div className="uploadReport">
+      <div>
+        {name && <strong>{name}: </strong>}
+        {report.accepted.toLocaleString()} rows accepted, {report.rejected.toLocaleString()} rejected
+      </div>
+      {report.errors.slice(0, REPORT_PREVIEW_ERRORS).map((e, i) => (
+        <div key={i} className="uploadReportErr">
+          line {e.line} · {e.field}: {e.message}
+        </div>
+      ))}
+      {(report.errors.length > REPORT_PREVIEW_ERRORS || report.truncated) && (
+        <div className="uploadReportErr">…and more</div>
+      )}
+    </div>
+  );
+}
+
+export default function UploadPanel({ onUploaded = () => {} }) {
   const [open, setOpen] = useState(false);
   const [code, setCode] = useState(getPasscode());
   const [showCode, setShowCode] = useState(false);
 
   const [files, setFiles] = useState([]); // selected File objects
+  const [mappings, setMappings] = useState([]); // column mapping per file (null = not confirmed yet)
   const [busy, setBusy] = useState(false);
-  const [status, setStatus] = useState(null); // { type: "ok"|"err", text }
+  const [status, setStatus] = useState(null); // { type: "ok"|"err", text, reports?: [{ name, report }] }
   const [uploaded, setUploaded] = useState([]); // list from repo
   const [listErr, setListErr] = useState("");
   const inputRef = useRef(null);
@@ -31,7 +67,7 @@ export default function UploadPanel() {
     setListErr("");
     try {
       const items = await listUploads(code);
-      setUploaded(items);
+      setUploaded(withMappings(items));
     } catch (e) {
       setListErr(e?.message || "Failed to list files");
     }
@@ -47,9 +83,23 @@ export default function UploadPanel() {
       f.name.toLowerCase().endsWith(".csv")
     );
     setFiles(picked);
+    setMappings(picked.map(() => null));
     setStatus(null);
   }
 
+  // Files are mapped one at a time, in the order they were picked.
+  const mappingIdx = mappings.findIndex((m) => m == null);
+  const allMapped = files.length > 0 && mappingIdx === -1;
+
+  function confirmMapping(mapping) {
+    setMappings((prev) => prev.map((m, i) => (i === mappingIdx ? mapping : m)));
+  }
+
+  function dropPending() {
+    setFiles((prev) => prev.filter((_, i) => i !== mappingIdx));
+    setMappings((prev) => prev.filter((_, i) => i !== mappingIdx));
+  }
+
   async function doUpload() {
     if (!files.length) {
       setStatus({ type: "err", text: "Choose one or more .csv files." });
@@ -60,9 +110,9 @@ export default function UploadPanel() {
     setPasscode(code); // remember any access code for next time
     const results = [];
     try {
-      for (const f of files) {
+      for (let i = 0; i < files.length; i++) {
         // eslint-disable-next-line no-await-in-loop
-        const r = await uploadCsv(f, code);
+        const r = await uploadCsv(files[i], code, mappings[i]);
         results.push(r);
       }
       const overwrote = results.filter((r) => r.overwrote).length;
@@ -71,12 +121,20 @@ export default function UploadPanel() {
         text: `Uploaded ${results.length} file${results.length > 1 ? "s" : ""} to ${GH_CONFIG.folder}/${
           overwrote ? ` (${overwrote} overwritten)` : ""
         }`,
+        reports: results.filter((r) => r.report?.rejected > 0).map((r) => ({ name: r.name, report: r.report })),
       });
       setFiles([]);
+      setMappings([]);
       if (inputRef.current) inputRef.current.value = "";
       await refreshList();
+      onUploaded();
     } catch (e) {
-      setStatus({ type: "err", text: e?.message || "Upload failed" });
+      const failed = files[results.length];
+      setStatus({
+        type: "err",
+        text: `${failed ? `${failed.name}: ` : ""}${e?.message || "Upload failed"}`,
+        reports: e?.report ? [{ name: "", report: e.report }] : [],
+      });
     } finally {
       setBusy(false);
     }
@@ -92,8 +150,8 @@ export default function UploadPanel() {
         <div className="uploadBody">
           <p className="panelSub" style={{ marginTop: 8 }}>
             If you would like to contribute your data to this platform, please upload it in CSV
-            format. Make sure your file includes the following columns: longitude, latitude, and
-            capacity.
+            format. After picking a file you can tell us which columns hold the coordinates,
+            name, country/province and the yearly kg of nitrogen and phosphorus.
           </p>
 
           {/* File pick + upload */}
@@ -110,14 +168,28 @@ export default function UploadPanel() {
               type="button"
               className="uploadBtn"
               onClick={doUpload}
-              disabled={busy || !files.length}
+              disabled={busy || !allMapped}
             >
               {busy ? "Uploading…" : `Upload${files.length ? ` (${files.length})` : ""}`}
             </button>
           </div>
 
+          {mappingIdx !== -1 && files[mappingIdx] && (
+            <ColumnMappingStep
+              key={`${files[mappingIdx].name}-${mappingIdx}`}
+              file={files[mappingIdx]}
+              onConfirm={confirmMapping}
+              onSkip={dropPending}
+            />
+          )}
+
           {status && (
-            <div className={status.type === "ok" ? "uploadOk" : "uploadErr"}>{status.text}</div>
+            <div className={status.type === "ok" ? "uploadOk" : "uploadErr"}>
+              {status.text}
+              {(status.reports || []).map((r, i) => (
+                <ValidationReport key={i} name={r.name} report={r.report} />
+              ))}
+            </div>
           )}
 
           {/* Optional access code (only if the server requires one) */}
@@ -154,6 +226,17 @@ export default function UploadPanel() {
                 <a href={f.downloadUrl} target="_blank" rel="noreferrer" title="Download raw CSV">
                   {f.name}
                 </a>
+                {f.mapping && (
+                  <a
+                    className="uploadItemMeta"
+                    href={f.mapping.downloadUrl}
+                    target="_blank"
+                    rel="noreferrer"
+                    title="Column mapping saved with this CSV"
+                  >
+                    mapping
+                  </a>
+                )}
                 <span className="uploadItemSize">{fmtSize(f.size)}</span>
               </div>
             ))}
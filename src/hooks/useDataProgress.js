@@ -0,0 +1,25 @@
+// src/hooks/useDataProgress.js
+import { useSyncExternalStore } from "react";
+import { subscribeDataProgress, getDataProgress } from "../utils/workerClient";
+
+/**
+ * Progress of the running data-worker tasks, for loading hints:
+ * { busy, label, percent } of the most recently reporting task
+ * (percent is null while the size is unknown, e.g. during a download).
+ */
+export function useDataProgress() {
+  const running = useSyncExternalStore(subscribeDataProgress, getDataProgress);
+
+  const active = [...running].reverse().find((t) => t.label) || null;
+  return {
+    busy: running.length > 0,
+    label: active?.label || "",
+    percent: active && active.total > 0 ? Math.round((100 * active.done) / active.total) : null,
+  };
+}
+
+// "Parsing wtp_all.csv… 42%"
+export function formatDataProgress({ label, percent }) {
+  if (!label) return "";
+  return percent == null ? `${label}…` : `${label}… ${percent}%`;
+}
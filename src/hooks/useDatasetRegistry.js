@@ -0,0 +1,54 @@
+// src/hooks/useDatasetRegistry.js
+import { useEffect, useState } from "react";
+import { DATASETS_MANIFEST_URL } from "../utils/data";
+import { parseDatasetManifest } from "../utils/datasetRegistry";
+
+let registryPromise = null;
+
+// Fetched once per session (see utils/datasetRegistry for the format)
+function loadRegistry() {
+  if (!registryPromise) {
+    registryPromise = fetch(DATASETS_MANIFEST_URL)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Failed to load dataset manifest (${res.status})`);
+        return res.json();
+      })
+      .then(parseDatasetManifest)
+      .catch((e) => {
+        registryPromise = null; // let the next page try again
+        throw e;
+      });
+  }
+  return registryPromise;
+}
+
+/**
+ * The supply datasets of public/data/datasets.json:
+ * { loading, error, wtp, datasets, facilityLists } — wtp is the WTP layer
+ * entry, datasets the point datasets, facilityLists the hand-researched lists
+ * feeding them (null / [] until loaded).
+ */
+export function useDatasetRegistry() {
+  const [state, setState] = useState({ loading: true, error: "", wtp: null, datasets: [], facilityLists: [] });
+
+  useEffect(() => {
+    let alive = true;
+    loadRegistry().then(
+      ({ wtp, datasets, facilityLists }) => alive && setState({ loading: false, error: "", wtp, datasets, facilityLists }),
+      (e) =>
+        alive &&
+        setState({
+          loading: false,
+          error: e?.message || "Failed to load datasets",
+          wtp: null,
+          datasets: [],
+          facilityLists: [],
+        })
+    );
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  return state;
+}
@@ -0,0 +1,48 @@
+// src/hooks/useDemandArea.js
+import { useCallback, useEffect, useState } from "react";
+import { EMPTY_AREA } from "../utils/demandArea";
+
+const STORAGE_PREFIX = "demand_area:";
+
+function load(key) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key);
+    const v = raw ? JSON.parse(raw) : null;
+    return v?.type === "FeatureCollection" && Array.isArray(v.features) ? v : EMPTY_AREA;
+  } catch {
+    return EMPTY_AREA;
+  }
+}
+
+function save(key, area) {
+  try {
+    if (area.features.length) localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(area));
+    else localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch {
+    /* quota exceeded — the area still works for this session */
+  }
+}
+
+/**
+ * The custom demand area (drawn / uploaded polygons) of a province, kept in
+ * localStorage so it survives reloads.
+ */
+export function useDemandArea(country, province) {
+  const key = `${country}/${province}`;
+  const [area, setAreaState] = useState(() => load(key));
+
+  useEffect(() => {
+    setAreaState(load(key));
+  }, [key]);
+
+  const setArea = useCallback(
+    (next) => {
+      const fc = next?.features ? next : EMPTY_AREA;
+      save(key, fc);
+      setAreaState(fc);
+    },
+    [key]
+  );
+
+  return { area, setArea };
+}
@@ -0,0 +1,60 @@
+// src/hooks/useDemandRates.js
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { resolveDemandRates } from "../utils/demandRates";
+
+const STORAGE_PREFIX = "demand_rates:";
+
+function loadCustom(country) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + country);
+    const v = raw ? JSON.parse(raw) : {};
+    return v && typeof v === "object" ? v : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveCustom(country, custom) {
+  try {
+    if (Object.keys(custom).length) localStorage.setItem(STORAGE_PREFIX + country, JSON.stringify(custom));
+    else localStorage.removeItem(STORAGE_PREFIX + country);
+  } catch {
+    /* ignore */
+  }
+}
+
+/**
+ * Demand rates (kg/ha/year per landuse type) for a country, with the user's
+ * edits from the dashboard persisted in localStorage per country.
+ */
+export function useDemandRates(country) {
+  const [custom, setCustom] = useState(() => loadCustom(country));
+
+  useEffect(() => {
+    setCustom(loadCustom(country));
+  }, [country]);
+
+  const rates = useMemo(() => resolveDemandRates(country, custom), [country, custom]);
+
+  // value null drops the edit, so the default rate applies again
+  const setRate = useCallback(
+    (landuse, nutrient, value) => {
+      setCustom((prev) => {
+        const entry = { ...(prev[landuse] || {}), [nutrient]: value };
+        if (value == null) delete entry[nutrient];
+        const next = { ...prev, [landuse]: entry };
+        if (!Object.keys(entry).length) delete next[landuse];
+        saveCustom(country, next);
+        return next;
+      });
+    },
+    [country]
+  );
+
+  const reset = useCallback(() => {
+    saveCustom(country, {});
+    setCustom({});
+  }, [country]);
+
+  return { rates, custom, setRate, reset };
+}
@@ -1,238 +1,54 @@
 // src/hooks/useLocationsData.js
+// CSV download, parsing and normalization run in the data worker
+// (see workers/dataTasks); these hooks only hold the results.
 import { useEffect, useMemo, useState } from "react";
-import Papa from "papaparse";
-
-/**
- * Countries allowed in the UI
- * (lock all except France, Italy, Hungary, Greece)
- */
-const ALLOWED_COUNTRIES = new Set(["France", "Italy", "Hungary", "Greece"]);
-
-/**
- * Map codes to country names
- */
-const COUNTRY_MAP = {
-  FR: "France",
-  IT: "Italy",
-  HU: "Hungary",
-  EL: "Greece", // EU code sometimes used in datasets
-  GR: "Greece",
-  Greece: "Greece",
-  France: "France",
-  Italy: "Italy",
-  Hungary: "Hungary",
-};
-
-export function normalizeCountry(v) {
-  if (v == null) return "";
-  const s = String(v).trim();
-  if (!s) return "";
-  const upper = s.toUpperCase();
-  return COUNTRY_MAP[upper] || COUNTRY_MAP[s] || s;
-}
-
-/**
- * Normalize province names (especially Greece) to canonical English NUTS-2 names
- */
-export function normalizeProvinceName(p) {
-  if (p == null) return "";
-  let s = String(p).trim();
-  if (!s) return "";
-
-  // Handle "CODE - Name"
-  const dashIdx = s.indexOf(" - ");
-  if (dashIdx !== -1) s = s.slice(dashIdx + 3).trim();
-
-  // Fix mixed Latin/GGreek leading A (observed in WTP CSV: "Aττική")
-  s = s.replace(/^A(?=[\u0370-\u03FF])/u, "Α");
-
-  const norm = (x) =>
-    String(x)
-      .toLowerCase()
-      .normalize("NFD")
-      .replace(/[\u0300-\u036f]/g, "")
-      .replace(/[,_-]/g, " ")
-      .replace(/\s+/g, " ")
-      .trim();
-
-  const key = norm(s);
-
-  const MAP = {
-    // Attica
-    "αττικη": "Attica",
-
-    // Eastern Macedonia & Thrace
-    "ανατολικη μακεδονια θρακη": "Eastern Macedonia and Thrace",
-    "ανατολικη μακεδονια και θρακη": "Eastern Macedonia and Thrace",
-
-    // Central Macedonia
-    "κεντρικη μακεδονια": "Central Macedonia",
-
-    // Western Macedonia
-    "δυτικη μακεδονια": "Western Macedonia",
-
-    // Thessaly
-    "θεσσαλια": "Thessaly",
-
-    // Epirus
-    "ηπειρος": "Epirus",
-
-    // Ionian Islands
-    "ιονια νησια": "Ionian Islands",
-
-    // Western Greece
-    "δυτικη ελλαδα": "Western Greece",
-
-    // Central Greece
-    "στερεα ελλαδα": "Central Greece",
-
-    // Peloponnese
-    "πελοποννησος": "Peloponnese",
-
-    // North Aegean
-    "βορειο αιγαιο": "North Aegean",
-
-    // South Aegean
-    "νοτιο αιγαιο": "South Aegean",
-
-    // Crete
-    "κρητη": "Crete",
-  };
-
-  return MAP[key] || s;
-}
-
-function computeWtpKgN(row) {
-  return toNum(pick(row, ["N kg/per year", "N kg/per year ", "kg_n_per_year", "n_kg_per_year"])) || 0;
-}
-
-function computeWtpKgP(row) {
-  return toNum(pick(row, ["P kg/per year", "P kg/per year ", "kg_p_per_year", "p_kg_per_year"])) || 0;
-}
-
-function computeBuildingKgN(_datasetKey, row) {
-  return toNum(pick(row, ["kg_n_per_year", "n_kg_per_year", "output", "production"])) || 0;
-}
-
-function computeBuildingKgP(_datasetKey, row) {
-  return toNum(pick(row, ["kg_p_per_year", "p_kg_per_year", "P kg/per year", "Kg P/year"])) || 0;
-}
-
-function toNum(x) {
-  if (x == null) return null;
-
-  if (typeof x === "string") {
-    const t = x.trim();
-    if (t === "") return null;
-    // handle European decimals like "37,95"
-    x = t.replace(",", ".");
-  }
-
-  const n = Number(x);
-  return Number.isFinite(n) ? n : null;
-}
-
-function pick(row, keys) {
-  for (const k of keys) {
-    if (row?.[k] != null && String(row[k]).trim() !== "") return row[k];
-  }
-  return null;
-}
-
-/**
- * Parses coordinates from:
- *  - lat/lon columns (preferred)
- *  - "location" column formatted as "lat, lon" (fallback)
- * Handles swapped "lon, lat" and rejects accidental (0,0).
- */
-function parseLatLon(row) {
-  const latRaw = pick(row, ["lat", "latitude", "Latitude", "__lat"]);
-  const lonRaw = pick(row, ["lon", "lng", "longitude", "Longitude", "__lon"]);
-
-  let lat = toNum(latRaw);
-  let lon = toNum(lonRaw);
-
-  if ((lat == null || lon == null) && row?.location != null) {
-    const parts = String(row.location)
-      .split(",")
-      .map((s) => s.trim())
-      .filter(Boolean);
-
-    if (parts.length >= 2) {
-      const a = toNum(parts[0]);
-      const b = toNum(parts[1]);
-
-      if (a != null && b != null) {
-        // usual: "lat, lon"
-        if (Math.abs(a) <= 90 && Math.abs(b) <= 180) {
-          lat = a;
-          lon = b;
-        } else if (Math.abs(b) <= 90 && Math.abs(a) <= 180) {
-          // swapped: "lon, lat"
-          lat = b;
-          lon = a;
-        }
-      }
-    }
+import { normalizeCountry } from "../utils/countries";
+import { normalizeProvinceName } from "../utils/provinces";
+import { toNum } from "../utils/csvRows";
+import { runDataTask } from "../utils/workerClient";
+import { indexCoversScope, isRegionIndex, regionIndexLists } from "../utils/regionIndex";
+import { NUTS2_BOUNDARIES_URL } from "../utils/data";
+import { applyRecovery } from "../utils/recoveryModel";
+
+export { normalizeCountry, normalizeProvinceName };
+
+// The prebuilt region index (public/data/region_index.json), or null when
+// it is missing — dev servers answer missing files with index.html.
+async function fetchRegionIndex(url, signal) {
+  try {
+    const res = await fetch(url, { signal });
+    if (!res.ok) return null;
+    const j = await res.json();
+    // built for another country scope: rebuild from the CSVs
+    return isRegionIndex(j) && indexCoversScope(j) ? j : null;
+  } catch (e) {
+    if (signal.aborted) throw e;
+    return null;
   }
-
-  if (lat == null || lon == null) return { lat: null, lon: null };
-  if (lat === 0 && lon === 0) return { lat: null, lon: null };
-
-  return { lat, lon };
-}
-
-async function fetchCsv(url, abortSignal) {
-  const res = await fetch(url, { signal: abortSignal });
-  if (!res.ok) throw new Error(`Failed to load CSV: ${url} (${res.status})`);
-  const text = await res.text();
-
-  const parsed = Papa.parse(text, {
-    header: true,
-    skipEmptyLines: true,
-    dynamicTyping: false,
-  });
-
-  const rows = (parsed.data || []).filter((r) => r && Object.keys(r).length);
-  return rows;
-}
-
-function normalizeRowCountryProvince(row) {
-  const countryRaw =
-    pick(row, ["country", "Country"]) ??
-    pick(row, ["country_code", "Country_code", "Country Code", "countryCode"]) ??
-    "";
-
-  const provinceRaw = pick(row, ["province", "Province", "nuts2", "NUTS2"]) ?? "";
-
-  const country = normalizeCountry(countryRaw);
-  const province = normalizeProvinceName(provinceRaw);
-
-  return { ...row, country, province };
-}
-
-function matchesCountryProvince(row, { country, province }) {
-  const rowCountry = normalizeCountry(row?.country ?? row?.country_code ?? "");
-  const rowProvince = normalizeProvinceName(row?.province ?? "");
-
-  const wantCountry = normalizeCountry(country || "");
-  const wantProvince = normalizeProvinceName(province || "");
-
-  if (wantCountry && rowCountry !== wantCountry) return false;
-  if (wantProvince && rowProvince !== wantProvince) return false;
-  return true;
 }
 
 /**
- * Builds the country -> provinces index for the Menu.
+ * Builds the country -> NUTS-2 regions index for the Menu:
+ * regionsByCountry[country] = [nuts2_id].
  * Merges WTP + extra datasets so provinces don't "disappear" for a country.
+ * Also returns WTP totals per NUTS-2 region for the Splash overview map:
+ * statsByNuts2[nuts2_id] = { country, province, count, kgN, kgP },
+ * and the full index with per-dataset counts (see utils/regionIndex).
+ *
+ * opts.indexUrl: load the prebuilt index instead of the CSVs when it exists
+ * (`npm run build:index`).
+ * opts.facilityLists: the manifest's facility lists, merged into the extras.
  */
-export function useCountryProvinceIndex(wtpCsvUrl, extraDatasets = []) {
+export function useCountryProvinceIndex(wtpCsvUrl, extraDatasets = [], opts = {}) {
+  const { indexUrl = "", wtpColumns = null, facilityLists = [] } = opts;
+
   const [state, setState] = useState({
     loading: true,
     error: "",
     countries: [],
-    provincesByCountry: {},
+    regionsByCountry: {},
+    statsByNuts2: {},
+    index: null,
   });
 
   useEffect(() => {
@@ -240,67 +56,71 @@ export function useCountryProvinceIndex(wtpCsvUrl, extraDatasets = []) {
 
     (async () => {
       try {
-        const allRows = [];
-
-        // WTP base
-        if (wtpCsvUrl) {
-          const wtpRows = await fetchCsv(wtpCsvUrl, controller.signal);
-          allRows.push(...wtpRows);
-        }
+        const prebuilt = indexUrl ? await fetchRegionIndex(indexUrl, controller.signal) : null;
+        if (!prebuilt && !wtpCsvUrl) return; // dataset manifest still loading
+
+        const { countries, regionsByCountry, statsByNuts2, index } = prebuilt
+          ? { ...regionIndexLists(prebuilt), index: prebuilt }
+          : await runDataTask(
+              "countryProvinceIndex",
+              {
+                wtpCsvUrl,
+                wtpColumns,
+                outlinesUrl: NUTS2_BOUNDARIES_URL,
+                extraDatasets: (extraDatasets || [])
+                  .filter((d) => d?.url)
+                  .map((d) => ({ key: d.key, label: d.label, url: d.url, columns: d.columns })),
+                facilityLists,
+              },
+              { signal: controller.signal }
+            );
 
-        // Extras
-        for (const d of extraDatasets || []) {
-          if (!d?.url) continue;
-          try {
-            const r = await fetchCsv(d.url, controller.signal);
-            allRows.push(...r);
-          } catch {
-            // ignore extras failing; menu should still work
-          }
-        }
-
-        const provincesByCountry = {};
-        for (const raw of allRows) {
-          const row = normalizeRowCountryProvince(raw);
-          const c = row.country;
-          const p = row.province;
-
-          if (!c || !ALLOWED_COUNTRIES.has(c)) continue;
-          if (!p) continue;
-
-          if (!provincesByCountry[c]) provincesByCountry[c] = new Set();
-          provincesByCountry[c].add(p);
-        }
-
-        const countries = Object.keys(provincesByCountry).sort((a, b) => a.localeCompare(b));
-        const out = {};
-        for (const c of countries) {
-          out[c] = Array.from(provincesByCountry[c]).sort((a, b) => a.localeCompare(b));
-        }
-
-        setState({ loading: false, error: "", countries, provincesByCountry: out });
+        setState({
+          loading: false,
+          error: "",
+          countries,
+          regionsByCountry,
+          statsByNuts2,
+          index,
+        });
       } catch (e) {
         if (controller.signal.aborted) return;
         setState({
           loading: false,
           error: e?.message || "Failed to build index",
           countries: [],
-          provincesByCountry: {},
+          regionsByCountry: {},
+          statsByNuts2: {},
+          index: null,
         });
       }
     })();
 
     return () => controller.abort();
-  }, [wtpCsvUrl, JSON.stringify((extraDatasets || []).map((d) => ({ key: d.key, url: d.url })))]);
+  }, [
+    wtpCsvUrl,
+    indexUrl,
+    JSON.stringify(wtpColumns),
+    JSON.stringify((extraDatasets || []).map((d) => ({ key: d.key, url: d.url, columns: d.columns }))),
+    JSON.stringify(facilityLists),
+  ]);
 
   return state;
 }
 
+const sumOf = (rows, k) => rows.reduce((s, r) => s + (toNum(r[k]) || 0), 0);
+
 /**
- * WTP hook (supply from WTPs)
+ * WTP hook (supply from WTPs) of one NUTS-2 region (opts.nuts2; an array of
+ * codes loads several at once, rows then told apart by their nuts2_id)
+ * opts.columns: column aliases of the WTP dataset (datasets.json).
+ * opts.recovery: { efficiencies, label } of useRecoveryModel — effectiveRows
+ * and the totals are then the recoverable supply, grossProduction(P) the
+ * plants' gross load.
+ * Stays loading while csvUrl is empty (dataset manifest not loaded yet).
  */
 export function useLocationGroup(csvUrl, _unusedRadiusKm = 2, opts = {}) {
-  const { country, province } = opts;
+  const { nuts2, columns = null, recovery = null } = opts;
 
   const [rows, setRows] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -310,27 +130,15 @@ export function useLocationGroup(csvUrl, _unusedRadiusKm = 2, opts = {}) {
     const controller = new AbortController();
     setLoading(true);
     setError("");
+    if (!csvUrl) return undefined;
 
     (async () => {
       try {
-        const raw = await fetchCsv(csvUrl, controller.signal);
-        const normalized = raw.map(normalizeRowCountryProvince);
-
-        const filtered = normalized.filter((r) => matchesCountryProvince(r, { country, province }));
-
-        const cleaned = filtered
-          .map((r) => {
-            const { lat, lon } = parseLatLon(r);
-            if (lat == null || lon == null) return null;
-            return {
-              ...r,
-              __lat: lat,
-              __lon: lon,
-              kg_n_per_year: computeWtpKgN(r),
-              kg_p_per_year: computeWtpKgP(r),
-            };
-          })
-          .filter(Boolean);
+        const cleaned = await runDataTask(
+          "wtpRows",
+          { url: csvUrl, columns, nuts2, outlinesUrl: NUTS2_BOUNDARIES_URL },
+          { signal: controller.signal }
+        );
 
         setRows(cleaned);
         setLoading(false);
@@ -343,7 +151,12 @@ export function useLocationGroup(csvUrl, _unusedRadiusKm = 2, opts = {}) {
     })();
 
     return () => controller.abort();
-  }, [csvUrl, country, province]);
+  }, [csvUrl, JSON.stringify(columns), JSON.stringify(nuts2)]);
+
+  const effectiveRows = useMemo(
+    () => (recovery ? applyRecovery(rows, recovery.efficiencies, { label: recovery.label }) : rows),
+    [rows, recovery?.efficiencies, recovery?.label]
+  );
 
   const firstPointCenter = useMemo(() => {
     if (!rows.length) return null;
@@ -351,23 +164,25 @@ export function useLocationGroup(csvUrl, _unusedRadiusKm = 2, opts = {}) {
   }, [rows]);
 
   // Production (kg N / year) sum — uses formula-computed kg_n_per_year set during row mapping
-  const totalProduction = useMemo(() => {
-    return rows.reduce((sum, r) => sum + (toNum(r.kg_n_per_year) || 0), 0);
-  }, [rows]);
+  const totalProduction = useMemo(() => sumOf(effectiveRows, "kg_n_per_year"), [effectiveRows]);
 
   // Production (kg P / year) sum — mirrors totalProduction for phosphorus
-  const totalProductionP = useMemo(() => {
-    return rows.reduce((sum, r) => sum + (toNum(r.kg_p_per_year) || 0), 0);
-  }, [rows]);
+  const totalProductionP = useMemo(() => sumOf(effectiveRows, "kg_p_per_year"), [effectiveRows]);
+
+  // Gross load before recovery
+  const grossProduction = useMemo(() => sumOf(rows, "kg_n_per_year"), [rows]);
+  const grossProductionP = useMemo(() => sumOf(rows, "kg_p_per_year"), [rows]);
 
   return {
     loading,
     error,
     rows,
-    effectiveRows: rows,
+    effectiveRows,
     firstPointCenter,
     totalProduction,
     totalProductionP,
+    grossProduction,
+    grossProductionP,
   };
 }
 
@@ -376,13 +191,24 @@ export function useLocationGroup(csvUrl, _unusedRadiusKm = 2, opts = {}) {
  * Each row gets:
  *   __type = dataset.key
  *   __label = dataset.label
- *   country/province normalized
+ *   __color = dataset.color (only when the dataset declares one)
+ *   __icon = dataset.icon (likewise)
+ *
+ * The manifest's column aliases (dataset.columns) are applied first.
+ *
+ * A dataset may carry a `mapping` (saved by the upload wizard); it is applied
+ * before normalization so custom column names resolve to lat/lon/kg_n_per_year…
+ *   country normalized, rows of the NUTS-2 region opts.nuts2 only (or of the
+ *   regions, when it is an array of codes)
+ *
+ * opts.facilityLists (datasets.json) add their hand-researched sites to the
+ * layer of their facility type, replacing dataset rows at the same place.
  *
  * IMPORTANT:
  * LandUseMap expects extra points to have lat/lon fields.
  */
 export function useManyGenericPoints(datasets = [], opts = {}) {
-  const { country, province } = opts;
+  const { nuts2, facilityLists = [] } = opts;
 
   const [state, setState] = useState({ loading: true, error: "", byKey: {} });
 
@@ -392,44 +218,27 @@ export function useManyGenericPoints(datasets = [], opts = {}) {
 
     (async () => {
       try {
-        const entries = await Promise.all(
-          (datasets || []).filter((d) => d?.url && d?.key).map(async (d) => {
-            const raw = await fetchCsv(d.url, controller.signal);
-            const normalized = raw.map(normalizeRowCountryProvince);
-
-            const filtered = normalized
-              .filter((r) => matchesCountryProvince(r, { country, province }))
-              .map((r) => {
-                const { lat, lon } = parseLatLon(r);
-                if (lat == null || lon == null) return null;
-
-                const kg = computeBuildingKgN(d.key, r);
-                const kgP = computeBuildingKgP(d.key, r);
-
-                return {
-                  ...r,
-                  lat,
-                  lon,
-                  __lat: lat,
-                  __lon: lon,
-                  __type: d.key,
-                  __label: d.label || d.key,
-                  kg_n_per_year: kg,
-                  kg_p_per_year: kgP,
-                  name:
-                    pick(r, ["name", "Name", "facility_name", "Facility", "Airport", "University"]) ||
-                    r.name ||
-                    r.Name ||
-                    "",
-                };
-              })
-              .filter(Boolean);
-
-            return [d.key, filtered];
-          })
+        const byKey = await runDataTask(
+          "pointRows",
+          {
+            datasets: (datasets || [])
+              .filter((d) => d?.url && d?.key)
+              .map((d) => ({
+                key: d.key,
+                url: d.url,
+                label: d.label,
+                color: d.color,
+                icon: d.icon,
+                columns: d.columns,
+                mapping: d.mapping,
+                uploaded: !!d.uploaded,
+              })),
+            facilityLists,
+            nuts2,
+            outlinesUrl: NUTS2_BOUNDARIES_URL,
+          },
+          { signal: controller.signal }
         );
-
-        const byKey = Object.fromEntries(entries);
         setState({ loading: false, error: "", byKey });
       } catch (e) {
         if (controller.signal.aborted) return;
@@ -438,7 +247,13 @@ export function useManyGenericPoints(datasets = [], opts = {}) {
     })();
 
     return () => controller.abort();
-  }, [JSON.stringify((datasets || []).map((d) => ({ key: d.key, url: d.url }))), country, province]);
+  }, [
+    JSON.stringify(
+      (datasets || []).map((d) => ({ key: d.key, url: d.url, color: d.color, columns: d.columns, mapping: d.mapping }))
+    ),
+    JSON.stringify(facilityLists),
+    JSON.stringify(nuts2),
+  ]);
 
   return state;
 }
@@ -0,0 +1,235 @@
+// src/hooks/useMapUrlState.js
+import { useCallback, useMemo, useRef } from "react";
+import { useSearchParams } from "react-router-dom";
+
+export const DEFAULT_RADIUS_KM = 2;
+
+// Query parameters (all optional — a missing one means "default"):
+//   r    demand radius in km                      ?r=5
+//   lu   enabled landuse types (comma-separated)  ?lu=vineyard,orchard
+//   src  enabled supply sources; "wtp" = WTPs     ?src=wtp,airports
+//   clip 1 = clip plots to the circles (accurate) ?clip=1
+//   rk   radius per source type, key:km           ?rk=wtp:5,festivals:0.5
+//   rs   1 = scale each radius by facility output ?rs=1
+//   dm   demand area: circles (default) | area |   ?dm=province
+//        province (whole NUTS-2 region)
+//   c    map centre instead of the region outline  ?c=37.9838,23.7275
+//        (region presets, see /region/:id)
+// So "Attica, 5 km, WTP + airports, vineyards only" is
+//   /map/EL30?r=5&lu=vineyard&src=wtp,airports
+const P_RADIUS = "r";
+const P_LANDUSE = "lu";
+const P_SOURCES = "src";
+const P_CLIP = "clip";
+const P_SOURCE_RADII = "rk";
+const P_SCALE = "rs";
+const P_DEMAND_MODE = "dm";
+const P_CENTER = "c";
+export const DEMAND_MODES = ["circles", "area", "province"];
+const WTP_KEY = "wtp";
+
+// Typing in a radius box is one history entry per edit, not per keystroke:
+// the first change pushes an entry, further changes replace it until the
+// input has been still for SETTLE_MS.
+const SETTLE_MS = 700;
+
+function readList(params, name) {
+  if (!params.has(name)) return null; // absent = everything on
+  return new Set(
+    params
+      .get(name)
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+  );
+}
+
+function writeList(params, name, enabled, all) {
+  if (all.every((k) => enabled.has(k))) params.delete(name);
+  else params.set(name, all.filter((k) => enabled.has(k)).join(","));
+}
+
+function readCenter(params) {
+  const [lat, lon] = (params.get(P_CENTER) || "").split(",").map((s) => Number(s));
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return [lat, lon];
+}
+
+/** Map page URL of a region, optionally with a radius and centre (region presets). */
+export function mapPath(nuts2, { radiusKm, center } = {}) {
+  const p = new URLSearchParams();
+  if (radiusKm != null && radiusKm !== DEFAULT_RADIUS_KM) p.set(P_RADIUS, String(radiusKm));
+  if (center?.length === 2) p.set(P_CENTER, center.join(","));
+  const q = p.toString();
+  return `/map/${encodeURIComponent(nuts2)}${q ? `?${q}` : ""}`;
+}
+
+function readRadii(params) {
+  const out = {};
+  for (const part of (params.get(P_SOURCE_RADII) || "").split(",")) {
+    const i = part.lastIndexOf(":");
+    if (i <= 0) continue;
+    const km = Number(part.slice(i + 1));
+    if (Number.isFinite(km) && km >= 0) out[part.slice(0, i).trim()] = km;
+  }
+  return out;
+}
+
+function writeRadii(params, radii) {
+  const s = Object.entries(radii)
+    .map(([k, km]) => `${k}:${km}`)
+    .join(",");
+  if (s) params.set(P_SOURCE_RADII, s);
+  else params.delete(P_SOURCE_RADII);
+}
+
+/**
+ * Map page state (radii, landuse toggles, WTP + dataset toggles) kept in the
+ * URL query, so an analysis can be shared as a link and browser back/forward
+ * steps through changes. Returns the same shapes MapProvincePage used to keep
+ * in useState, plus setters.
+ */
+export function useMapUrlState({ landuseTypes = [], datasetKeys = [] }) {
+  const [params, setParams] = useSearchParams();
+  const query = params.toString();
+
+  const state = useMemo(() => {
+    const p = new URLSearchParams(query);
+
+    const r = Number(p.get(P_RADIUS));
+    const radiusKm = p.has(P_RADIUS) && Number.isFinite(r) && r >= 0 ? r : DEFAULT_RADIUS_KM;
+
+    const lu = readList(p, P_LANDUSE);
+    const toggles = landuseTypes.reduce((o, t) => ({ ...o, [t]: lu ? lu.has(t) : true }), {});
+
+    const src = readList(p, P_SOURCES);
+    const showWtp = src ? src.has(WTP_KEY) : true;
+    const extraToggles = datasetKeys.reduce((o, k) => ({ ...o, [k]: src ? src.has(k) : true }), {});
+
+    const clipToCircles = p.get(P_CLIP) === "1";
+
+    const sourceRadii = readRadii(p);
+    const scaleByOutput = p.get(P_SCALE) === "1";
+
+    const dm = p.get(P_DEMAND_MODE);
+    const demandMode = DEMAND_MODES.includes(dm) ? dm : DEMAND_MODES[0];
+
+    const center = readCenter(p);
+
+    return { radiusKm, toggles, showWtp, extraToggles, clipToCircles, sourceRadii, scaleByOutput, demandMode, center };
+  }, [query, landuseTypes, datasetKeys]);
+
+  // Time of the last change per input, for the SETTLE_MS grouping
+  const lastEditRef = useRef({});
+  const startsEdit = useCallback((input) => {
+    const now = Date.now();
+    const last = lastEditRef.current[input] || 0;
+    lastEditRef.current[input] = now;
+    return now - last >= SETTLE_MS;
+  }, []);
+
+  const update = useCallback(
+    (mutate, { replace = false } = {}) => {
+      setParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          mutate(next);
+          return next;
+        },
+        { replace }
+      );
+    },
+    [setParams]
+  );
+
+  const setRadiusKm = useCallback(
+    (km) =>
+      update(
+        (p) => {
+          if (km === DEFAULT_RADIUS_KM) p.delete(P_RADIUS);
+          else p.set(P_RADIUS, String(km));
+        },
+        { replace: !startsEdit(P_RADIUS) }
+      ),
+    [update, startsEdit]
+  );
+
+  const toggleLanduse = useCallback(
+    (t) =>
+      update((p) => {
+        const enabled = readList(p, P_LANDUSE) || new Set(landuseTypes);
+        if (enabled.has(t)) enabled.delete(t);
+        else enabled.add(t);
+        writeList(p, P_LANDUSE, enabled, landuseTypes);
+      }),
+    [update, landuseTypes]
+  );
+
+  const toggleSource = useCallback(
+    (k) =>
+      update((p) => {
+        const all = [WTP_KEY, ...datasetKeys];
+        const enabled = readList(p, P_SOURCES) || new Set(all);
+        if (enabled.has(k)) enabled.delete(k);
+        else enabled.add(k);
+        writeList(p, P_SOURCES, enabled, all);
+      }),
+    [update, datasetKeys]
+  );
+
+  const toggleWtp = useCallback(() => toggleSource(WTP_KEY), [toggleSource]);
+
+  const toggleClip = useCallback(
+    () =>
+      update((p) => {
+        if (p.get(P_CLIP) === "1") p.delete(P_CLIP);
+        else p.set(P_CLIP, "1");
+      }),
+    [update]
+  );
+
+  // km = null/undefined drops the override (the source uses the global radius)
+  const setSourceRadius = useCallback(
+    (key, km) =>
+      update(
+        (p) => {
+          const radii = readRadii(p);
+          if (km == null || !Number.isFinite(Number(km))) delete radii[key];
+          else radii[key] = Math.max(0, Number(km));
+          writeRadii(p, radii);
+        },
+        { replace: !startsEdit(`${P_SOURCE_RADII}:${key}`) }
+      ),
+    [update, startsEdit]
+  );
+
+  const toggleScaleByOutput = useCallback(
+    () =>
+      update((p) => {
+        if (p.get(P_SCALE) === "1") p.delete(P_SCALE);
+        else p.set(P_SCALE, "1");
+      }),
+    [update]
+  );
+
+  const setDemandMode = useCallback(
+    (mode) =>
+      update((p) => {
+        if (!DEMAND_MODES.includes(mode) || mode === DEMAND_MODES[0]) p.delete(P_DEMAND_MODE);
+        else p.set(P_DEMAND_MODE, mode);
+      }),
+    [update]
+  );
+
+  return {
+    ...state,
+    setDemandMode,
+    setRadiusKm,
+    toggleLanduse,
+    toggleSource,
+    toggleWtp,
+    toggleClip,
+    setSourceRadius,
+    toggleScaleByOutput,
+  };
+}
@@ -0,0 +1,60 @@
+// src/hooks/useNuts2Boundary.js
+import { useEffect, useMemo, useState } from "react";
+import { NUTS2_BOUNDARIES_URL } from "../utils/data";
+import { ALLOWED_COUNTRIES } from "../utils/countries";
+
+let boundariesPromise = null;
+
+// Fetched once per session; a missing file just means "no outlines".
+// The file also covers the pilot countries — only the enabled ones are kept.
+function loadBoundaries() {
+  if (!boundariesPromise) {
+    boundariesPromise = fetch(NUTS2_BOUNDARIES_URL)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((j) =>
+        j?.type === "FeatureCollection"
+          ? { ...j, features: (j.features || []).filter((f) => ALLOWED_COUNTRIES.has(f.properties?.country)) }
+          : null
+      )
+      .catch(() => null);
+  }
+  return boundariesPromise;
+}
+
+/** All NUTS-2 outlines (FeatureCollection or null when the file is missing). */
+export function useNuts2Boundaries() {
+  const [state, setState] = useState({ boundaries: null, loading: true });
+
+  useEffect(() => {
+    let alive = true;
+    loadBoundaries().then((fc) => {
+      if (alive) setState({ boundaries: fc, loading: false });
+    });
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  return state;
+}
+
+/**
+ * True for official borders (GISCO). The offline build only approximates them
+ * (Voronoi cells around the WTPs, `approximate: true`): good enough to draw,
+ * not to count the agricultural land of a region.
+ */
+export function isOfficialBoundary(f) {
+  return !!f && !f.properties?.approximate;
+}
+
+/** NUTS-2 boundary feature of a region code, or null. */
+export function useNuts2Boundary(nuts2Id) {
+  const { boundaries: all, loading } = useNuts2Boundaries();
+
+  const boundary = useMemo(
+    () => (all?.features || []).find((f) => f.properties?.nuts2_id === nuts2Id) || null,
+    [all, nuts2Id]
+  );
+
+  return { boundary, official: isOfficialBoundary(boundary), nuts2Id, loading };
+}
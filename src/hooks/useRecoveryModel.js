@@ -0,0 +1,85 @@
+// src/hooks/useRecoveryModel.js
+import { useCallback, useMemo, useState } from "react";
+import { DEFAULT_RECOVERY_PATHWAY, RECOVERY_PATHWAYS, resolveEfficiencies } from "../utils/recoveryModel";
+
+const STORAGE_KEY = "recovery_model";
+
+function load() {
+  try {
+    const v = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (!v || typeof v !== "object") return { pathway: DEFAULT_RECOVERY_PATHWAY, custom: {} };
+    return {
+      pathway: RECOVERY_PATHWAYS[v.pathway] ? v.pathway : DEFAULT_RECOVERY_PATHWAY,
+      custom: v.custom && typeof v.custom === "object" ? v.custom : {},
+    };
+  } catch {
+    return { pathway: DEFAULT_RECOVERY_PATHWAY, custom: {} };
+  }
+}
+
+function save(model) {
+  try {
+    if (model.pathway === DEFAULT_RECOVERY_PATHWAY && !Object.keys(model.custom).length) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(model));
+    }
+  } catch {
+    /* ignore */
+  }
+}
+
+/**
+ * WTP recovery model (utils/recoveryModel): the chosen pathway and the user's
+ * per-size-class fractions for each pathway, kept in localStorage.
+ * `efficiencies` are those of the chosen pathway, { [classKey]: { n, p } }.
+ */
+export function useRecoveryModel() {
+  const [model, setModel] = useState(load);
+
+  const update = useCallback((mutate) => {
+    setModel((prev) => {
+      const next = mutate(prev);
+      save(next);
+      return next;
+    });
+  }, []);
+
+  const efficiencies = useMemo(
+    () => resolveEfficiencies(model.pathway, model.custom[model.pathway]),
+    [model.pathway, model.custom]
+  );
+
+  const setPathway = useCallback((pathway) => update((prev) => ({ ...prev, pathway })), [update]);
+
+  const setEfficiency = useCallback(
+    (sizeClass, nutrient, value) =>
+      update((prev) => {
+        const mine = prev.custom[prev.pathway] || {};
+        const cls = { ...(mine[sizeClass] || {}), [nutrient]: value };
+        return { ...prev, custom: { ...prev.custom, [prev.pathway]: { ...mine, [sizeClass]: cls } } };
+      }),
+    [update]
+  );
+
+  // Drops the edits of the chosen pathway
+  const reset = useCallback(
+    () =>
+      update((prev) => {
+        const custom = { ...prev.custom };
+        delete custom[prev.pathway];
+        return { ...prev, custom };
+      }),
+    [update]
+  );
+
+  return {
+    pathway: model.pathway,
+    label: RECOVERY_PATHWAYS[model.pathway].label,
+    efficiencies,
+    custom: model.custom[model.pathway] || {},
+    setPathway,
+    setEfficiency,
+    reset,
+  };
+}
@@ -0,0 +1,59 @@
+// src/hooks/useScenarioFacilities.js
+import { useCallback, useEffect, useState } from "react";
+import { cleanScenarioFacilities, newScenarioFacility } from "../utils/scenarioFacilities";
+
+const STORAGE_PREFIX = "scenario_facilities:";
+
+function load(key) {
+  try {
+    return cleanScenarioFacilities(JSON.parse(localStorage.getItem(STORAGE_PREFIX + key) || "[]"));
+  } catch {
+    return [];
+  }
+}
+
+function save(key, list) {
+  try {
+    if (list.length) localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(list));
+    else localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch {
+    /* quota exceeded — the facilities still work for this session */
+  }
+}
+
+/**
+ * Hypothetical facilities of a province (what-if scenario, see
+ * utils/scenarioFacilities), kept in localStorage so they survive reloads.
+ */
+export function useScenarioFacilities(country, province) {
+  const key = `${country}/${province}`;
+  const [facilities, setFacilities] = useState(() => load(key));
+
+  useEffect(() => {
+    setFacilities(load(key));
+  }, [key]);
+
+  const update = useCallback(
+    (mutate) =>
+      setFacilities((prev) => {
+        const next = mutate(prev);
+        save(key, next);
+        return next;
+      }),
+    [key]
+  );
+
+  const add = useCallback((f) => update((prev) => [...prev, newScenarioFacility(f)]), [update]);
+
+  // patch: { lat, lon } after a drag, { visitors }, { name }, { type }
+  const change = useCallback(
+    (id, patch) => update((prev) => prev.map((f) => (f.id === id ? { ...f, ...patch } : f))),
+    [update]
+  );
+
+  const remove = useCallback((id) => update((prev) => prev.filter((f) => f.id !== id)), [update]);
+
+  const clear = useCallback(() => update(() => []), [update]);
+
+  return { facilities, add, change, remove, clear };
+}
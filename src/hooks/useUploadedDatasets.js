@@ -0,0 +1,100 @@
+// src/hooks/useUploadedDatasets.js
+import { useCallback, useEffect, useState } from "react";
+import { listUploads } from "../utils/githubStorage";
+import { mappingFilenameFor } from "../utils/columnMapping";
+
+// Colours handed out to uploaded datasets in listing order (the built-in
+// datasets take theirs from public/data/datasets.json).
+const UPLOAD_COLORS = [
+  "#00a3a3ff",
+  "#d1459eff",
+  "#3a7d00ff",
+  "#0050b3ff",
+  "#b8002eff",
+  "#7a52ccff",
+  "#c77700ff",
+  "#2f4f4fff",
+];
+
+function uploadColorAt(i) {
+  return UPLOAD_COLORS[i % UPLOAD_COLORS.length];
+}
+
+function labelFromFilename(name) {
+  return String(name || "")
+    .replace(/\.csv$/i, "")
+    .replace(/[_-]+/g, " ")
+    .trim();
+}
+
+async function fetchMapping(url) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return null;
+    const m = await res.json();
+    return m && typeof m === "object" ? m : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lists the CSVs stored in uploads/ (GET /api/uploads) and turns each one into
+ * a supply dataset shaped like the manifest entries ({ key, label, url }) plus
+ * `color` and `uploaded: true`, so it can go straight into useManyGenericPoints.
+ * When the upload wizard saved a `<name>.mapping.json` next to the CSV it is
+ * attached as `mapping`.
+ *
+ * The listing is optional: when the API is unavailable (e.g. `npm run dev`
+ * without `netlify dev`) the hook simply returns no datasets.
+ */
+export function useUploadedDatasets() {
+  const [state, setState] = useState({ loading: true, error: "", datasets: [] });
+  const [version, setVersion] = useState(0);
+
+  const refresh = useCallback(() => setVersion((v) => v + 1), []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const items = await listUploads();
+        if (cancelled) return;
+
+        const list = Array.isArray(items) ? items : [];
+        const byName = new Map(list.map((f) => [f.name, f]));
+
+        const datasets = await Promise.all(
+          list
+            .filter((f) => f?.downloadUrl && /\.csv$/i.test(f.name || ""))
+            .map(async (f, i) => {
+              const mappingFile = byName.get(mappingFilenameFor(f.name));
+              const mapping = mappingFile?.downloadUrl ? await fetchMapping(mappingFile.downloadUrl) : null;
+              return {
+                key: `upload:${f.name}`,
+                label: labelFromFilename(f.name) || f.name,
+                url: f.downloadUrl,
+                category: "source_separation",
+                color: uploadColorAt(i),
+                uploaded: true,
+                ...(mapping ? { mapping } : {}),
+              };
+            })
+        );
+        if (cancelled) return;
+
+        setState({ loading: false, error: "", datasets });
+      } catch (e) {
+        if (cancelled) return;
+        setState({ loading: false, error: e?.message || "Failed to list uploads", datasets: [] });
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [version]);
+
+  return { ...state, refresh };
+}
@@ -7,11 +7,15 @@ import "./App.css";
 
 import App from "./App";
 import { BrowserRouter } from "react-router-dom";
+import { loadCountryScope, loadNuts2Regions } from "./utils/countryScope";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <BrowserRouter>
-      <App />
-    </BrowserRouter>
-  </React.StrictMode>
-);
+// Country names/codes and NUTS-2 regions must be known before any CSV row is normalized
+Promise.all([loadCountryScope(), loadNuts2Regions()]).then(() => {
+  ReactDOM.createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
+    </React.StrictMode>
+  );
+});
@@ -0,0 +1,296 @@
+// src/pages/Compare.jsx
+// Side-by-side supply of several provinces (any countries), sortable.
+// The selection lives in the query string as NUTS-2 codes: /compare?p=ITF3&p=EL30
+// (older Country:Province links still resolve).
+import { useCallback, useMemo, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { REGION_INDEX_URL } from "../utils/data";
+import { wtpCsvFor } from "../utils/datasetRegistry";
+import { useCountryProvinceIndex, useLocationGroup, useManyGenericPoints } from "../hooks/useLocationsData";
+import { useUploadedDatasets } from "../hooks/useUploadedDatasets";
+import { useDatasetRegistry } from "../hooks/useDatasetRegistry";
+import { useRecoveryModel } from "../hooks/useRecoveryModel";
+import { isNuts2Code, nuts2ByName, nuts2Region, regionLabel } from "../utils/nuts2Regions";
+import "../App.css";
+
+const P_PROVINCE = "p";
+
+// ?p= value -> { nuts2, country, province (display name) }, or null
+function parseKey(k) {
+  const i = k.indexOf(":");
+  const nuts2 = i > 0 ? nuts2ByName(k.slice(i + 1), k.slice(0, i)) : k.trim().toUpperCase();
+  if (!isNuts2Code(nuts2)) return null;
+  return { nuts2, country: nuts2Region(nuts2)?.country || "", province: regionLabel(nuts2) };
+}
+
+const fmt = (v) => Number(v || 0).toLocaleString(undefined, { maximumFractionDigits: 0 });
+
+/**
+ * Totals of each selected province from the rows of all of them:
+ * { [nuts2]: { wtpCount, wtp: {n,p}, byKey: { [dataset]: {count,n,p} }, total: {n,p} } }.
+ */
+function statsByRegion(codes, wtpRows, byKey, datasets) {
+  const out = {};
+  for (const code of codes) {
+    out[code] = {
+      wtpCount: 0,
+      wtp: { n: 0, p: 0 },
+      byKey: Object.fromEntries(datasets.map((d) => [d.key, { count: 0, n: 0, p: 0 }])),
+      total: { n: 0, p: 0 },
+    };
+  }
+
+  const add = (s, part, r) => {
+    const n = Number(r.kg_n_per_year) || 0;
+    const p = Number(r.kg_p_per_year) || 0;
+    part.n += n;
+    part.p += p;
+    s.total.n += n;
+    s.total.p += p;
+  };
+
+  for (const r of wtpRows) {
+    const s = out[r.nuts2_id];
+    if (!s) continue;
+    s.wtpCount++;
+    add(s, s.wtp, r);
+  }
+  for (const d of datasets) {
+    for (const r of byKey?.[d.key] || []) {
+      const s = out[r.nuts2_id];
+      if (!s) continue;
+      s.byKey[d.key].count++;
+      add(s, s.byKey[d.key], r);
+    }
+  }
+  return out;
+}
+
+export default function Compare() {
+  const nav = useNavigate();
+  const [params, setParams] = useSearchParams();
+
+  const registry = useDatasetRegistry();
+  const { loading, error, countries, regionsByCountry } = useCountryProvinceIndex(
+    registry.wtp?.url,
+    registry.datasets,
+    { indexUrl: REGION_INDEX_URL, wtpColumns: registry.wtp?.columns, facilityLists: registry.facilityLists }
+  );
+  const uploads = useUploadedDatasets();
+  // WTP columns are the recoverable supply of the model chosen on the map page
+  const recovery = useRecoveryModel();
+  const datasets = useMemo(() => [...registry.datasets, ...uploads.datasets], [registry.datasets, uploads.datasets]);
+
+  const selected = useMemo(() => {
+    const list = params.getAll(P_PROVINCE).map(parseKey).filter(Boolean);
+    return list.filter((s, i) => list.findIndex((x) => x.nuts2 === s.nuts2) === i);
+  }, [params]);
+
+  const [pickCountry, setPickCountry] = useState("");
+  const [pickProvince, setPickProvince] = useState("");
+  const [nutrient, setNutrient] = useState("n");
+  const [sort, setSort] = useState({ col: "total", desc: true });
+
+  // Every selected province from one download / parse of each CSV (the map
+  // page's hooks, given all the codes). Provinces of one country use its WTP
+  // split, a mix the full WTP CSV.
+  const codes = useMemo(() => selected.map((s) => s.nuts2), [selected]);
+  const selectedCountries = new Set(selected.map((s) => s.country));
+  const wtpUrl = codes.length
+    ? wtpCsvFor(registry.wtp, selectedCountries.size === 1 ? selected[0].country : "")
+    : "";
+  const wtp = useLocationGroup(wtpUrl, 2, { nuts2: codes, columns: registry.wtp?.columns, recovery });
+  const extra = useManyGenericPoints(codes.length ? datasets : [], {
+    nuts2: codes,
+    facilityLists: registry.facilityLists,
+  });
+
+  const stats = useMemo(
+    () => (wtp.loading || extra.loading ? {} : statsByRegion(codes, wtp.effectiveRows, extra.byKey, datasets)),
+    [codes, wtp.loading, wtp.effectiveRows, extra.loading, extra.byKey, datasets]
+  );
+  const loadError = wtp.error || extra.error;
+
+  const setSelected = (list) => {
+    const next = new URLSearchParams(params);
+    next.delete(P_PROVINCE);
+    for (const s of list) next.append(P_PROVINCE, s.nuts2);
+    setParams(next);
+  };
+
+  const add = () => {
+    if (!pickProvince) return;
+    if (selected.some((s) => s.nuts2 === pickProvince)) return;
+    setSelected([...selected, parseKey(pickProvince)]);
+    setPickProvince("");
+  };
+
+  const remove = (k) => setSelected(selected.filter((s) => s.nuts2 !== k));
+
+  // Only datasets that contribute somewhere get a column
+  const columns = useMemo(
+    () => datasets.filter((d) => selected.some((s) => stats[s.nuts2]?.byKey?.[d.key]?.count > 0)),
+    [datasets, selected, stats]
+  );
+
+  const valueOf = useCallback(
+    (s, col) => {
+      if (!s) return -1;
+      if (col === "wtpCount") return s.wtpCount;
+      if (col === "wtp") return s.wtp[nutrient];
+      if (col === "total") return s.total[nutrient];
+      if (col === "share") return s.total[nutrient] > 0 ? 1 - s.wtp[nutrient] / s.total[nutrient] : 0;
+      return s.byKey?.[col]?.[nutrient] ?? 0;
+    },
+    [nutrient]
+  );
+
+  const rows = useMemo(() => {
+    const list = selected.map((sel) => ({ k: sel.nuts2, ...sel, s: stats[sel.nuts2] || null }));
+    const dir = sort.desc ? -1 : 1;
+    list.sort((a, b) =>
+      sort.col === "province"
+        ? dir * a.province.localeCompare(b.province)
+        : dir * (valueOf(a.s, sort.col) - valueOf(b.s, sort.col))
+    );
+    return list;
+  }, [selected, stats, sort, valueOf]);
+
+  const sortBy = (col) => setSort((cur) => ({ col, desc: cur.col === col ? !cur.desc : col !== "province" }));
+
+  const sortableTh = (col, label, title) => (
+    <th key={col} className={sort.col === col ? "isSorted" : ""} title={title} onClick={() => sortBy(col)}>
+      {label}
+      {sort.col === col ? (sort.desc ? " ▼" : " ▲") : ""}
+    </th>
+  );
+
+  const unit = nutrient === "n" ? "kg N/yr" : "kg P/yr";
+
+  return (
+    <div className="splash">
+      <div className="splashCard" style={{ width: 1100, maxWidth: "96vw", maxHeight: "94vh", overflow: "auto" }}>
+        <h1>Compare provinces</h1>
+        <p className="subtitle">
+          Supply of several NUTS-2 provinces side by side (WTPs: {recovery.label.toLowerCase()}). Click a column to
+          rank by it. <Link to="/">Back</Link>
+        </p>
+
+        {loading && <div className="splashHint">Loading…</div>}
+        {error && <div className="splashHint">Error: {error}</div>}
+
+        {!loading && !error && (
+          <div className="compareControls">
+            <select
+              value={pickCountry}
+              onChange={(e) => {
+                setPickCountry(e.target.value);
+                setPickProvince("");
+              }}
+            >
+              <option value="">Country…</option>
+              {countries.map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+            <select value={pickProvince} disabled={!pickCountry} onChange={(e) => setPickProvince(e.target.value)}>
+              <option value="">Province…</option>
+              {(regionsByCountry[pickCountry] || [])
+                .slice()
+                .sort((a, b) => regionLabel(a).localeCompare(regionLabel(b)))
+                .map((p) => (
+                  <option key={p} value={p}>
+                    {regionLabel(p)}
+                  </option>
+                ))}
+            </select>
+            <button type="button" className="btn" disabled={!pickProvince} onClick={add}>
+              Add
+            </button>
+
+            <span style={{ flex: 1 }} />
+
+            {["n", "p"].map((k) => (
+              <label key={k} className="panelRow" style={{ margin: 0 }}>
+                <input type="radio" name="nutrient" checked={nutrient === k} onChange={() => setNutrient(k)} />
+                <span>{k === "n" ? "Nitrogen" : "Phosphorus"}</span>
+              </label>
+            ))}
+          </div>
+        )}
+
+        {loadError && <div className="splashHint">Error: {loadError}</div>}
+
+        {!selected.length && !loading && (
+          <div className="splashHint">Add two or more provinces to compare them.</div>
+        )}
+
+        {selected.length > 0 && (
+          <table className="compareTable">
+            <thead>
+              <tr>
+                <th>#</th>
+                {sortableTh("province", "Province")}
+                {sortableTh("wtpCount", "WTPs")}
+                {sortableTh("wtp", "WTP", unit)}
+                {columns.map((d) => sortableTh(d.key, d.label, unit))}
+                {sortableTh("total", "Total", unit)}
+                {sortableTh("share", "Source sep.", "Share of the total from source separation (non-WTP) facilities")}
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ k, country, province, s }, i) => (
+                <tr key={k}>
+                  <td>{s ? i + 1 : ""}</td>
+                  <td>
+                    <strong>{province}</strong>
+                    <div className="compareCountry">
+                      {country} · {k}
+                    </div>
+                  </td>
+                  {!s ? (
+                    <td colSpan={columns.length + 4} className="compareLoading">
+                      Loading…
+                    </td>
+                  ) : (
+                    <>
+                      <td>{fmt(s.wtpCount)}</td>
+                      <td>{fmt(s.wtp[nutrient])}</td>
+                      {columns.map((d) => (
+                        <td key={d.key} title={`${fmt(s.byKey[d.key]?.count)} sites`}>
+                          {s.byKey[d.key]?.count ? fmt(s.byKey[d.key][nutrient]) : "–"}
+                        </td>
+                      ))}
+                      <td>
+                        <strong>{fmt(s.total[nutrient])}</strong>
+                      </td>
+                      <td>{`${(valueOf(s, "share") * 100).toFixed(1)} %`}</td>
+                    </>
+                  )}
+                  <td className="compareActions">
+                    <button
+                      type="button"
+                      className="uploadLinkBtn"
+                      onClick={() => nav(`/map/${encodeURIComponent(k)}`)}
+                    >
+                      map
+                    </button>
+                    <button type="button" className="uploadLinkBtn" onClick={() => remove(k)}>
+                      remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {selected.length > 0 && <div className="splashHint">Values in {unit}; hover a dataset cell for its site count.</div>}
+      </div>
+
+      <img className="p2Logo" src="/logo.png" alt="P2Green logo" />
+    </div>
+  );
+}
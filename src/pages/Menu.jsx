@@ -1,27 +1,39 @@
 // src/pages/Menu.jsx
 import { Link } from "react-router-dom";
 import { LOCATION_GROUPS } from "../utils/data";
+import { ALLOWED_COUNTRIES } from "../utils/countries";
+import { nuts2Region } from "../utils/nuts2Regions";
 import "../App.css";
 
 export default function Menu() {
+  // Presets of countries switched off by the country scope are hidden
+  const groups = LOCATION_GROUPS.filter((g) => ALLOWED_COUNTRIES.has(nuts2Region(g.nuts2)?.country));
+
   return (
     <div className="details-pane" style={{ maxWidth: 640, margin: "40px auto" }}>
       <h2>Select a Location Set</h2>
       <div className="card">
         <ul className="toggle-list">
-          {LOCATION_GROUPS.map((g) => (
+          {groups.map((g) => (
             <li key={g.id} style={{ justifyContent: "space-between" }}>
-              <span>{g.label}</span>
-              <Link className="btn" to={`/map/${g.id}`}>
+              <span>
+                {g.name}
+                <span style={{ color: "#666" }}>
+                  {" "}
+                  · {nuts2Region(g.nuts2).country} · {g.defaultRadiusKm} km
+                </span>
+              </span>
+              <Link className="btn" to={`/region/${g.id}`}>
                 Open
               </Link>
             </li>
           ))}
         </ul>
+        {!groups.length && <div style={{ color: "#666" }}>No region presets for the enabled countries.</div>}
       </div>
       <p style={{ color: "#666" }}>
-        CSV paths are configured in <code>src/utils/data.js</code>. Files should live in
-        <code>/public</code>.
+        Presets are configured in <code>LOCATION_GROUPS</code> (<code>src/utils/data.js</code>);{" "}
+        <Link to="/">all regions</Link>.
       </p>
     </div>
   );
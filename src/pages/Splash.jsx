@@ -1,19 +1,32 @@
 // src/pages/Splash.jsx
 import { useMemo, useState } from "react";
-import { useNavigate } from "react-router-dom";
-import { WTP_ALL_CSV, EXTRA_DATASETS } from "../utils/data";
+import { Link, useNavigate } from "react-router-dom";
+import { REGION_INDEX_URL } from "../utils/data";
 import { useCountryProvinceIndex } from "../hooks/useLocationsData";
+import { useDatasetRegistry } from "../hooks/useDatasetRegistry";
+import { useNuts2Boundaries } from "../hooks/useNuts2Boundary";
+import { regionLabel, regionMatches } from "../utils/nuts2Regions";
+import DataProgress from "../components/DataProgress";
+import RegionChoropleth from "../components/RegionChoropleth";
 import "../App.css";
 
+const fmt = (v) => Number(v || 0).toLocaleString(undefined, { maximumFractionDigits: 0 });
+
 export default function Splash() {
   const nav = useNavigate();
 
-  // ✅ NEW hook returns: { loading, error, countries, provincesByCountry }
-  // include EXTRA_DATASETS so provinces list is consistent with all datasets
-  const { loading, error, countries, provincesByCountry } = useCountryProvinceIndex(
-    WTP_ALL_CSV,
-    EXTRA_DATASETS
+  // ✅ NEW hook returns: { loading, error, countries, regionsByCountry } (NUTS-2 codes)
+  // Reads the prebuilt region index; the CSVs (incl. all point datasets, so the
+  // provinces list is consistent with all datasets) only when it is missing
+  const registry = useDatasetRegistry();
+  const { loading, error, countries, regionsByCountry, statsByNuts2, index } = useCountryProvinceIndex(
+    registry.wtp?.url,
+    registry.datasets,
+    { indexUrl: REGION_INDEX_URL, wtpColumns: registry.wtp?.columns, facilityLists: registry.facilityLists }
   );
+  const { boundaries } = useNuts2Boundaries();
+
+  const openProvince = (nuts2) => nav(`/map/${encodeURIComponent(nuts2)}`);
 
   const [country, setCountry] = useState("");
   const [countryFilter, setCountryFilter] = useState("");
@@ -25,23 +38,32 @@ export default function Splash() {
     return (countries || []).filter((c) => String(c).toLowerCase().includes(q));
   }, [countries, countryFilter]);
 
+  // NUTS-2 codes, by display name; the search also matches codes and aliases
   const provinces = useMemo(() => {
     if (!country) return [];
-    const list = (provincesByCountry && provincesByCountry[country]) || [];
-    const q = provFilter.trim().toLowerCase();
-    if (!q) return list;
-    return list.filter((p) => String(p).toLowerCase().includes(q));
-  }, [provincesByCountry, country, provFilter]);
+    const list = (regionsByCountry && regionsByCountry[country]) || [];
+    return list
+      .filter((p) => regionMatches(p, provFilter))
+      .sort((a, b) => regionLabel(a).localeCompare(regionLabel(b)));
+  }, [regionsByCountry, country, provFilter]);
 
   return (
     <div className="splash">
-      <div className="splashCard" style={{ width: 920, maxWidth: "92vw" }}>
+      <div className="splashCard" style={{ width: 920, maxWidth: "92vw", maxHeight: "94vh", overflow: "auto" }}>
         <h1>Welcome to P2Green platform!</h1>
-        <p className="subtitle">Select a country, then a province (NUTS-2).</p>
+        <p className="subtitle">
+          Click a region on the map, or select a country, then a province (NUTS-2). Figures here are the gross
+          load; the province map shows what the selected WTP recovery pathway makes available.{" "}
+          <Link to="/compare">Compare provinces →</Link>
+        </p>
 
-        {loading && <div className="splashHint">Loading…</div>}
+        {loading && <DataProgress className="splashHint" fallback={<div className="splashHint">Loading…</div>} />}
         {error && <div className="splashHint">Error: {error}</div>}
 
+        {!loading && !error && boundaries && (
+          <RegionChoropleth boundaries={boundaries} stats={statsByNuts2} onSelect={openProvince} />
+        )}
+
         {!loading && !error && (
           <div
             style={{
@@ -141,7 +163,7 @@ export default function Splash() {
                     <button
                       key={p}
                       type="button"
-                      onClick={() => nav(`/map/${encodeURIComponent(country)}/${encodeURIComponent(p)}`)}
+                      onClick={() => openProvince(p)}
                       style={{
                         width: "100%",
                         textAlign: "left",
@@ -153,7 +175,13 @@ export default function Splash() {
                         background: "transparent",
                       }}
                     >
-                      {p}
+                      {regionLabel(p)}
+                      {index?.regions?.[p] && (
+                        <span className="splashProvinceMeta">
+                          {p} · {fmt(index.regions[p].datasets.wtp?.count)} WTPs ·{" "}
+                          {fmt(index.regions[p].total.kgN)} kg N/yr gross
+                        </span>
+                      )}
                     </button>
                   ))}
               </div>
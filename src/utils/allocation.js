@@ -0,0 +1,247 @@
+// src/utils/allocation.js
+// Distance-aware allocation of supply (kg N / kg P per year) to landuse plots.
+//
+// Every (facility, plot) pair whose distance — facility to plot centroid — is
+// within the facility's radius is a candidate delivery, up to the
+// MAX_CANDIDATES nearest facilities of each plot (found with a grid index, so
+// a custom area or a whole province — every facility in range of every plot —
+// does not build the full facility × plot cross product). Pairs are served
+// nearest first: each moves min(facility's remaining supply, plot's remaining
+// demand), for N and P independently. So a plot next to a plant is served
+// before one at the edge of the circle, and supply that no plot in range can
+// take stays unused — either because the facility has no plot in range at all
+// or because every plot in its range is already fully supplied (surplus).
+
+import { centroid, distance } from "@turf/turf";
+import { demandForFeature } from "./demandRates.js";
+
+const MAX_SUPPLIERS_LISTED = 5;
+const MAX_CANDIDATES = 8;
+const CELL_DEG = 0.1;
+
+/* Facility indexes by grid cell of CELL_DEG degrees */
+function sourceGrid(srcs) {
+  const cells = new Map();
+  let minX = Infinity,
+    maxX = -Infinity,
+    minY = Infinity,
+    maxY = -Infinity;
+  srcs.forEach((s, si) => {
+    const x = Math.floor(s.lon / CELL_DEG);
+    const y = Math.floor(s.lat / CELL_DEG);
+    const k = `${x},${y}`;
+    if (!cells.has(k)) cells.set(k, []);
+    cells.get(k).push(si);
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+  });
+  return { cells, minX, maxX, minY, maxY };
+}
+
+/* Cells at Chebyshev distance r from (cx, cy) */
+function* ringCells(cx, cy, r) {
+  if (r === 0) {
+    yield `${cx},${cy}`;
+    return;
+  }
+  for (let x = cx - r; x <= cx + r; x++) {
+    yield `${x},${cy - r}`;
+    yield `${x},${cy + r}`;
+  }
+  for (let y = cy - r + 1; y <= cy + r - 1; y++) {
+    yield `${cx - r},${y}`;
+    yield `${cx + r},${y}`;
+  }
+}
+
+/**
+ * The nearest facilities (at most MAX_CANDIDATES) having plot centroid
+ * c = [lon, lat] within their radius, as [{ si, km }] nearest first. Rings of
+ * cells are searched outwards until no closer facility can be left.
+ */
+function nearestInRange(c, srcs, grid, maxRadiusKm) {
+  const [lon, lat] = c;
+  const cx = Math.floor(lon / CELL_DEG);
+  const cy = Math.floor(lat / CELL_DEG);
+  const maxRing = Math.max(cx - grid.minX, grid.maxX - cx, cy - grid.minY, grid.maxY - cy);
+
+  const best = [];
+  let seen = 0;
+  for (let r = 0; r <= maxRing && seen < srcs.length; r++) {
+    // lower bound of the distance to ring r (cells narrow towards the poles)
+    const cos = Math.cos((Math.min(89, Math.abs(lat) + r * CELL_DEG) * Math.PI) / 180);
+    const minKm = Math.max(0, r - 1) * CELL_DEG * 111 * cos;
+    if (minKm > maxRadiusKm) break;
+    if (best.length === MAX_CANDIDATES && minKm > best[best.length - 1].km) break;
+
+    for (const k of ringCells(cx, cy, r)) {
+      for (const si of grid.cells.get(k) || []) {
+        seen++;
+        const s = srcs[si];
+        const km = distance(c, [s.lon, s.lat], { units: "kilometers" });
+        if (km > s.r) continue;
+        if (best.length === MAX_CANDIDATES && km >= best[best.length - 1].km) continue;
+        let i = best.length;
+        while (i > 0 && best[i - 1].km > km) i--;
+        best.splice(i, 0, { si, km });
+        if (best.length > MAX_CANDIDATES) best.pop();
+      }
+    }
+  }
+  return best;
+}
+
+function plotCentroid(f) {
+  try {
+    const [x, y] = centroid(f).geometry.coordinates;
+    return Number.isFinite(x) && Number.isFinite(y) ? [x, y] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * sources  [{ lat, lon, kgN, kgP, name, kind, radiusKm? }]
+ * plots    landuse features (properties.area in m², properties.landuse)
+ * opts     { radiusKm, rates }  — radiusKm is the default when a source has
+ *          none; Infinity = every plot is in range (custom area / province)
+ * onProgress(done, total) is called every few hundred plots and awaited, so it
+ * can pause the search or throw to stop it.
+ *
+ * Resolves with {
+ *   features: copies of `plots` with properties
+ *     demandN, demandP, coveredN, coveredP, coverageN, coverageP (0..1),
+ *     suppliers: [{ name, kind, km, kgN, kgP }] (largest first)
+ *   summary: { demandN, demandP, coveredN, coveredP, unusedN, unusedP,
+ *              noPlotN, noPlotP, surplusN, surplusP,
+ *              byType: { [landuse]: { areaM2, demandN, demandP, unmetN, unmetP, unmetAreaM2 } } }
+ * }
+ * unused = noPlot (facilities without any plot in range) + surplus (left
+ * after every plot in range was fully supplied).
+ * unmetAreaM2 is the plot area weighted by its uncovered share of N demand.
+ */
+export async function allocateSupply(sources = [], plots = [], { radiusKm = 0, rates = {} } = {}, onProgress = null) {
+  const srcs = (sources || [])
+    .map((s) => ({
+      ...s,
+      lat: Number(s.lat),
+      lon: Number(s.lon),
+      r: Number(s.radiusKm ?? radiusKm),
+      leftN: Math.max(0, Number(s.kgN) || 0),
+      leftP: Math.max(0, Number(s.kgP) || 0),
+    }))
+    .filter((s) => Number.isFinite(s.lat) && Number.isFinite(s.lon) && s.r > 0 && (s.leftN > 0 || s.leftP > 0));
+
+  const items = (plots || []).map((f) => {
+    const d = demandForFeature(f, rates);
+    return { f, c: plotCentroid(f), needN: d.n, needP: d.p, demandN: d.n, demandP: d.p, byFacility: new Map() };
+  });
+
+  // Candidate pairs: each plot's nearest facilities in range
+  const pairs = [];
+  if (srcs.length) {
+    const grid = sourceGrid(srcs);
+    const maxRadiusKm = Math.max(...srcs.map((s) => s.r));
+    for (let pi = 0; pi < items.length; pi++) {
+      if (onProgress && pi % 500 === 0) await onProgress(pi, items.length);
+      const c = items[pi].c;
+      if (!c) continue;
+      for (const { si, km } of nearestInRange(c, srcs, grid, maxRadiusKm)) {
+        pairs.push({ si, pi, km });
+        srcs[si].inRange = true;
+      }
+    }
+  }
+  pairs.sort((a, b) => a.km - b.km);
+
+  for (const { si, pi, km } of pairs) {
+    const s = srcs[si];
+    const it = items[pi];
+    const n = Math.min(s.leftN, it.needN);
+    const p = Math.min(s.leftP, it.needP);
+    if (n <= 0 && p <= 0) continue;
+
+    s.leftN -= n;
+    s.leftP -= p;
+    it.needN -= n;
+    it.needP -= p;
+
+    const prev = it.byFacility.get(si) || { name: s.name || "", kind: s.kind || "", km, kgN: 0, kgP: 0 };
+    prev.kgN += n;
+    prev.kgP += p;
+    it.byFacility.set(si, prev);
+  }
+
+  const summary = {
+    demandN: 0,
+    demandP: 0,
+    coveredN: 0,
+    coveredP: 0,
+    unusedN: 0,
+    unusedP: 0,
+    noPlotN: 0,
+    noPlotP: 0,
+    surplusN: 0,
+    surplusP: 0,
+    byType: {},
+  };
+
+  const features = items.map((it) => {
+    const coveredN = it.demandN - it.needN;
+    const coveredP = it.demandP - it.needP;
+    const coverageN = it.demandN > 0 ? coveredN / it.demandN : 1;
+    const coverageP = it.demandP > 0 ? coveredP / it.demandP : 1;
+
+    const t = it.f.properties?.landuse || "unknown";
+    const a = it.f.properties?.area || 0;
+    const bt =
+      summary.byType[t] ||
+      (summary.byType[t] = { areaM2: 0, demandN: 0, demandP: 0, unmetN: 0, unmetP: 0, unmetAreaM2: 0 });
+    bt.areaM2 += a;
+    bt.demandN += it.demandN;
+    bt.demandP += it.demandP;
+    bt.unmetN += it.needN;
+    bt.unmetP += it.needP;
+    bt.unmetAreaM2 += a * (1 - coverageN);
+
+    summary.demandN += it.demandN;
+    summary.demandP += it.demandP;
+    summary.coveredN += coveredN;
+    summary.coveredP += coveredP;
+
+    const suppliers = Array.from(it.byFacility.values())
+      .sort((x, y) => y.kgN - x.kgN || y.kgP - x.kgP)
+      .slice(0, MAX_SUPPLIERS_LISTED);
+
+    return {
+      ...it.f,
+      properties: {
+        ...it.f.properties,
+        demandN: it.demandN,
+        demandP: it.demandP,
+        coveredN,
+        coveredP,
+        coverageN,
+        coverageP,
+        suppliers,
+        supplierCount: it.byFacility.size,
+      },
+    };
+  });
+
+  for (const s of srcs) {
+    summary.unusedN += s.leftN;
+    summary.unusedP += s.leftP;
+    if (s.inRange) {
+      summary.surplusN += s.leftN;
+      summary.surplusP += s.leftP;
+    } else {
+      summary.noPlotN += s.leftN;
+      summary.noPlotP += s.leftP;
+    }
+  }
+
+  return { features, summary };
+}
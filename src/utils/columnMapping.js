@@ -0,0 +1,131 @@
+// src/utils/columnMapping.js
+// Column mapping for user-uploaded CSVs.
+//
+// The upload wizard lets the uploader say which of *their* columns holds the
+// latitude, nutrients, etc. The mapping is stored next to the CSV as
+// `<file>.csv.mapping.json` and applied when the file is loaded as a supply
+// layer, so the rows reach parseLatLon / computeBuildingKgN under the column
+// names those already understand.
+
+import { ALLOWED_COUNTRIES, normalizeCountry, isInsideAllowedCountries } from "./countries.js";
+import { parseLatLon } from "./csvRows.js";
+
+export const MAPPING_VERSION = 1;
+
+export function mappingFilenameFor(csvName) {
+  return `${csvName}.mapping.json`;
+}
+
+/**
+ * Fields the uploader can map. `target` is the canonical column the loader
+ * reads; `aliases` drive the automatic first guess (case-insensitive).
+ */
+export const MAPPING_FIELDS = [
+  { id: "lat", label: "Latitude", target: "lat", aliases: ["lat", "latitude", "y", "lat_wgs84"] },
+  { id: "lon", label: "Longitude", target: "lon", aliases: ["lon", "lng", "long", "longitude", "x", "lon_wgs84"] },
+  {
+    id: "location",
+    label: 'Coordinates "lat, lon"',
+    target: "location",
+    aliases: ["location", "coordinates", "coordinates (lat, long)", "latlon", "lat_lon"],
+  },
+  { id: "name", label: "Name", target: "name", aliases: ["name", "name_en", "facility", "facility_name", "position", "id"] },
+  { id: "country", label: "Country", target: "country", aliases: ["country", "country_code", "countrycode"] },
+  { id: "province", label: "Province (NUTS-2)", target: "province", aliases: ["province", "region", "nuts2"] },
+  {
+    id: "kgN",
+    label: "kg N / year",
+    target: "kg_n_per_year",
+    aliases: ["kg_n_per_year", "n_kg_per_year", "kg n", "kg n/year", "n kg/per year", "kg_n"],
+  },
+  {
+    id: "kgP",
+    label: "kg P / year",
+    target: "kg_p_per_year",
+    aliases: ["kg_p_per_year", "p_kg_per_year", "kg p", "kg p/year", "p kg/per year", "kg_p"],
+  },
+];
+
+const normHeader = (h) => String(h || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+/** First guess of { fieldId: columnName } from a CSV header row. */
+export function guessColumnMapping(headers = []) {
+  const byNorm = new Map(headers.map((h) => [normHeader(h), h]));
+  const used = new Set();
+  const columns = {};
+
+  for (const f of MAPPING_FIELDS) {
+    for (const a of f.aliases) {
+      const col = byNorm.get(a);
+      if (col != null && !used.has(col)) {
+        columns[f.id] = col;
+        used.add(col);
+        break;
+      }
+    }
+  }
+
+  return columns;
+}
+
+export function emptyMapping() {
+  return { version: MAPPING_VERSION, columns: {}, fixed: { country: "", province: "" } };
+}
+
+/** True when the mapping yields coordinates (lat + lon, or a combined column). */
+export function mappingHasCoordinates(mapping) {
+  const c = mapping?.columns || {};
+  return !!((c.lat && c.lon) || c.location);
+}
+
+/**
+ * Copies the mapped columns onto their canonical names. Unmapped columns are
+ * kept untouched; `fixed` country / province fill in when the row has none.
+ */
+export function applyColumnMapping(row, mapping) {
+  if (!mapping) return row;
+  const out = { ...row };
+
+  for (const f of MAPPING_FIELDS) {
+    const col = mapping.columns?.[f.id];
+    if (col && row?.[col] != null) out[f.target] = row[col];
+  }
+
+  const fixed = mapping.fixed || {};
+  if (fixed.country && !String(out.country ?? "").trim()) out.country = fixed.country;
+  if (fixed.province && !String(out.province ?? "").trim()) out.province = fixed.province;
+
+  return out;
+}
+
+/**
+ * Checks mapped rows before upload.
+ * Returns { total, missingCoords, outside, flagged: Map(rowIndex -> reason) }.
+ * A row is "outside" when its country (or, without one, its coordinates) is not
+ * one of the supported follower countries.
+ */
+export function checkMappedRows(rows = [], mapping) {
+  const flagged = new Map();
+  let missingCoords = 0;
+  let outside = 0;
+
+  rows.forEach((raw, i) => {
+    const row = applyColumnMapping(raw, mapping);
+    const { lat, lon } = parseLatLon(row);
+
+    if (lat == null || lon == null) {
+      missingCoords++;
+      flagged.set(i, "no usable coordinates");
+      return;
+    }
+
+    const country = normalizeCountry(row.country);
+    const inScope = country ? ALLOWED_COUNTRIES.has(country) : isInsideAllowedCountries(lat, lon);
+    if (!inScope) {
+      outside++;
+      flagged.set(i, country ? `country "${country}" not supported` : "outside supported countries");
+    }
+  });
+
+  return { total: rows.length, missingCoords, outside, flagged };
+}
@@ -0,0 +1,135 @@
+// src/utils/countries.js
+// Country naming shared by the hooks, the upload wizard and the uploads function.
+//
+// Which countries the app covers is configuration: public/data/countries.json
+// lists every known country (ISO-2/ISO-3/EU codes, aliases, rough bbox), the
+// `enabled` ones and the P2GreeN pilot presets. The browser loads it at
+// startup (utils/countryScope), the build scripts and the uploads function
+// read the file directly; all of them hand it to setCountryScope(). Until
+// then the four follower countries below apply.
+
+const DEFAULT_CONFIG = {
+  enabled: ["France", "Italy", "Hungary", "Greece"],
+  pilots: [],
+  countries: [
+    { name: "France", iso2: "FR", eu: "FR", bbox: { south: 41.3, west: -5.2, north: 51.1, east: 9.6 } },
+    { name: "Italy", iso2: "IT", eu: "IT", bbox: { south: 35.4, west: 6.6, north: 47.1, east: 18.6 } },
+    { name: "Hungary", iso2: "HU", eu: "HU", bbox: { south: 45.7, west: 16.1, north: 48.6, east: 22.9 } },
+    { name: "Greece", iso2: "GR", eu: "EL", bbox: { south: 34.8, west: 19.3, north: 41.8, east: 29.7 } },
+  ],
+};
+
+/**
+ * Countries allowed in the UI (the `enabled` list of the configuration).
+ * The Set is updated in place by setCountryScope, so imports stay valid.
+ */
+export const ALLOWED_COUNTRIES = new Set();
+
+// name / code / alias (upper case) -> country name
+const COUNTRY_MAP = new Map();
+
+// country -> { south, west, north, east }
+const COUNTRY_BBOXES = new Map();
+
+let config = DEFAULT_CONFIG;
+
+/**
+ * Applies a country configuration ({ enabled, pilots, countries } as in
+ * countries.json). `enabled` may be given separately to override the file's
+ * list (runtime config).
+ */
+export function setCountryScope(next, { enabled } = {}) {
+  const countries = Array.isArray(next?.countries) && next.countries.length ? next.countries : DEFAULT_CONFIG.countries;
+  config = {
+    enabled: enabled || next?.enabled || DEFAULT_CONFIG.enabled,
+    pilots: Array.isArray(next?.pilots) ? next.pilots : [],
+    countries,
+  };
+
+  COUNTRY_MAP.clear();
+  COUNTRY_BBOXES.clear();
+  for (const c of countries) {
+    if (!c?.name) continue;
+    for (const k of [c.name, c.iso2, c.iso3, c.eu, ...(c.aliases || [])]) {
+      if (k) COUNTRY_MAP.set(String(k).trim().toUpperCase(), c.name);
+    }
+    if (c.bbox) COUNTRY_BBOXES.set(c.name, c.bbox);
+  }
+
+  ALLOWED_COUNTRIES.clear();
+  for (const name of config.enabled) {
+    const c = COUNTRY_MAP.get(String(name).trim().toUpperCase());
+    if (c) ALLOWED_COUNTRIES.add(c);
+  }
+}
+
+/* The active configuration, plain JSON (handed to the data worker) */
+export function getCountryScope() {
+  return { ...config, enabled: [...ALLOWED_COUNTRIES] };
+}
+
+/* Pilot presets: [{ id, label, countries }] */
+export function getCountryPilots() {
+  return config.pilots;
+}
+
+/**
+ * Countries the generated files (region index, NUTS-2 outlines) cover: the
+ * enabled ones plus every pilot's, so a pilot can be switched on at runtime.
+ */
+export function scopeCandidateCountries() {
+  const out = new Set(ALLOWED_COUNTRIES);
+  for (const p of config.pilots) {
+    for (const name of p.countries || []) {
+      const c = COUNTRY_MAP.get(String(name).trim().toUpperCase());
+      if (c) out.add(c);
+    }
+  }
+  return out;
+}
+
+setCountryScope(DEFAULT_CONFIG);
+
+export function normalizeCountry(v) {
+  if (v == null) return "";
+  const s = String(v).trim();
+  if (!s) return "";
+  return COUNTRY_MAP.get(s.toUpperCase()) || s;
+}
+
+/** True when normalizeCountry has an explicit entry for the value (name or code). */
+export function isKnownCountry(v) {
+  if (v == null) return false;
+  const s = String(v).trim();
+  return COUNTRY_MAP.has(s.toUpperCase());
+}
+
+/**
+ * Rough lat/lon boxes of the allowed countries (mainland + islands, no
+ * overseas territories). Only used to flag rows that carry coordinates but
+ * no country column — not for assigning a country.
+ */
+export function isInsideAllowedCountries(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return false;
+  return [...ALLOWED_COUNTRIES].some((c) => {
+    const b = COUNTRY_BBOXES.get(c);
+    return b && lat >= b.south && lat <= b.north && lon >= b.west && lon <= b.east;
+  });
+}
+
+/** [[south, west], [north, east]] around the allowed countries, or null. */
+export function allowedCountriesBounds() {
+  let s = Infinity;
+  let w = Infinity;
+  let n = -Infinity;
+  let e = -Infinity;
+  for (const c of ALLOWED_COUNTRIES) {
+    const b = COUNTRY_BBOXES.get(c);
+    if (!b) continue;
+    s = Math.min(s, b.south);
+    w = Math.min(w, b.west);
+    n = Math.max(n, b.north);
+    e = Math.max(e, b.east);
+  }
+  return Number.isFinite(s) ? [[s, w], [n, e]] : null;
+}
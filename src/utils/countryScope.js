@@ -0,0 +1,40 @@
+// src/utils/countryScope.js
+// Loads the country configuration (public/data/countries.json) and the NUTS-2
+// region table before the app renders. The country list takes the runtime
+// overrides of public/config.js / VITE_*:
+//   countries  replaces the file's `enabled` list
+//   pilots     pilot ids whose countries are enabled in addition
+// The prebuilt region index and NUTS-2 outlines cover `enabled` + the pilots'
+// countries of the build; with any other country the Splash / Compare pages
+// build the index from the CSVs (slower) and it has no outlines.
+import { COUNTRIES_CONFIG_URL, NUTS2_REGIONS_URL } from "./data";
+import { setCountryScope } from "./countries";
+import { setNuts2Regions } from "./nuts2Regions";
+import { getCountrySettings } from "./runtimeConfig";
+
+export async function loadCountryScope() {
+  let json = null;
+  try {
+    const res = await fetch(COUNTRIES_CONFIG_URL);
+    if (res.ok) json = await res.json();
+  } catch {
+    // keep the built-in default scope
+  }
+  if (!Array.isArray(json?.countries)) json = null;
+
+  const { countries, pilots } = getCountrySettings();
+  const pilotCountries = (json?.pilots || []).filter((p) => pilots.includes(p.id)).flatMap((p) => p.countries || []);
+  const enabled = [...(countries.length ? countries : json?.enabled || []), ...pilotCountries];
+
+  setCountryScope(json, enabled.length ? { enabled } : {});
+}
+
+// Region codes still work without the table; names then fall back to the CSVs'
+export async function loadNuts2Regions() {
+  try {
+    const res = await fetch(NUTS2_REGIONS_URL);
+    if (res.ok) setNuts2Regions(await res.json());
+  } catch {
+    // keep the empty table
+  }
+}
@@ -0,0 +1,66 @@
+// src/utils/csvRows.js
+// Column helpers for loosely-typed CSV rows (Papa.parse with header: true).
+
+export function toNum(x) {
+  if (x == null) return null;
+
+  if (typeof x === "string") {
+    const t = x.trim();
+    if (t === "") return null;
+    // handle European decimals like "37,95"
+    x = t.replace(",", ".");
+  }
+
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function pick(row, keys) {
+  for (const k of keys) {
+    if (row?.[k] != null && String(row[k]).trim() !== "") return row[k];
+  }
+  return null;
+}
+
+/**
+ * Parses coordinates from:
+ *  - lat/lon columns (preferred)
+ *  - "location" column formatted as "lat, lon" (fallback)
+ * Handles swapped "lon, lat" and rejects accidental (0,0).
+ */
+export function parseLatLon(row) {
+  const latRaw = pick(row, ["lat", "latitude", "Latitude", "__lat"]);
+  const lonRaw = pick(row, ["lon", "lng", "longitude", "Longitude", "__lon"]);
+
+  let lat = toNum(latRaw);
+  let lon = toNum(lonRaw);
+
+  if ((lat == null || lon == null) && row?.location != null) {
+    const parts = String(row.location)
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+    if (parts.length >= 2) {
+      const a = toNum(parts[0]);
+      const b = toNum(parts[1]);
+
+      if (a != null && b != null) {
+        // usual: "lat, lon"
+        if (Math.abs(a) <= 90 && Math.abs(b) <= 180) {
+          lat = a;
+          lon = b;
+        } else if (Math.abs(b) <= 90 && Math.abs(a) <= 180) {
+          // swapped: "lon, lat"
+          lat = b;
+          lon = a;
+        }
+      }
+    }
+  }
+
+  if (lat == null || lon == null) return { lat: null, lon: null };
+  if (lat === 0 && lon === 0) return { lat: null, lon: null };
+
+  return { lat, lon };
+}
@@ -0,0 +1,87 @@
+// src/utils/csvValidation.js
+// Row-level validation of an uploaded supply CSV. Runs in the uploads
+// function (server side) so a broken file never reaches the repo.
+
+import Papa from "papaparse";
+import { isKnownCountry } from "./countries.js";
+import { toNum, parseLatLon } from "./csvRows.js";
+import { applyColumnMapping } from "./columnMapping.js";
+
+const MAX_REPORTED_ERRORS = 200;
+
+const NUTRIENT_COLUMNS = ["kg_n_per_year", "kg_p_per_year"];
+
+/**
+ * Validates CSV text (optionally through the wizard's column mapping).
+ *
+ * Returns a report:
+ *   { usable, total, accepted, rejected, columns, errors: [{ line, field, message }], truncated, error? }
+ * `line` is the 1-based line in the file (header = line 1). `usable` is false
+ * when the file has no header or not a single acceptable row.
+ */
+export function validateSupplyCsv(text, mapping = null) {
+  const parsed = Papa.parse(String(text || ""), {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: false,
+  });
+
+  const columns = (parsed.meta?.fields || []).filter((h) => h !== "");
+  const rows = (parsed.data || []).filter((r) => r && Object.keys(r).length);
+
+  const report = {
+    usable: false,
+    total: rows.length,
+    accepted: 0,
+    rejected: 0,
+    columns,
+    errors: [],
+    truncated: false,
+  };
+
+  if (!columns.length) return { ...report, error: "The file has no header row." };
+  if (!rows.length) return { ...report, error: "The file has no data rows." };
+
+  const addError = (line, field, message) => {
+    if (report.errors.length < MAX_REPORTED_ERRORS) report.errors.push({ line, field, message });
+    else report.truncated = true;
+  };
+
+  rows.forEach((raw, i) => {
+    const line = i + 2;
+    const row = mapping ? applyColumnMapping(raw, mapping) : raw;
+    let ok = true;
+
+    const { lat, lon } = parseLatLon(row);
+    if (lat == null || lon == null) {
+      addError(line, "coordinates", "missing or non-numeric latitude/longitude");
+      ok = false;
+    } else if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      addError(line, "coordinates", `out of range (${lat}, ${lon})`);
+      ok = false;
+    }
+
+    for (const col of NUTRIENT_COLUMNS) {
+      const v = row[col];
+      if (v == null || String(v).trim() === "") continue;
+      const n = toNum(v);
+      if (n == null || n < 0) {
+        addError(line, col, `"${v}" is not a non-negative number`);
+        ok = false;
+      }
+    }
+
+    const country = row.country ?? row.country_code;
+    if (country != null && String(country).trim() !== "" && !isKnownCountry(country)) {
+      addError(line, "country", `unknown country "${country}"`);
+      ok = false;
+    }
+
+    if (ok) report.accepted++;
+    else report.rejected++;
+  });
+
+  report.usable = report.accepted > 0;
+  if (!report.usable) report.error = "No row has usable coordinates, nutrients and country.";
+  return report;
+}
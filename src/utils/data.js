@@ -1,82 +1,56 @@
 // src/utils/data.js
 
-// Per-country WTP CSVs (split from wtp_all.csv for faster loading)
-const WTP_BY_COUNTRY = {
-  France:  "/data/wtp_france.csv",
-  Italy:   "/data/wtp_italy.csv",
-  Hungary: "/data/wtp_hungary.csv",
-  Greece:  "/data/wtp_greece.csv",
-};
+// Country scope: codes, enabled countries, pilot presets (see utils/countries)
+export const COUNTRIES_CONFIG_URL = "/data/countries.json";
 
-export function wtpCsvForCountry(country) {
-  return WTP_BY_COUNTRY[country] || "/data/wtp_all.csv";
-}
+// Supply datasets (WTPs + point datasets): keys, CSVs, colours, column aliases
+export const DATASETS_MANIFEST_URL = "/data/datasets.json";
 
-export const WTP_ALL_CSV = "/data/wtp_all.csv";
+// NUTS-2 region table: country, canonical + localized names, aliases (see utils/nuts2Regions)
+export const NUTS2_REGIONS_URL = "/data/nuts2_regions.json";
 
-// If you have public buildings CSVs per region keep them as-is;
-// otherwise you can do the same strategy later.
+// NUTS-2 region index with per-dataset totals (built by `npm run build:index`)
+export const REGION_INDEX_URL = "/data/region_index.json";
+
+// NUTS-2 outlines keyed by nuts2_id (built by `npm run build:nuts2`)
+export const NUTS2_BOUNDARIES_URL = "/data/nuts2.geojson";
+
+// Region presets of the P2GreeN pilot teams (/menu, /region/:id): the map of
+// the NUTS-2 region opened at defaultCenter with defaultRadiusKm preselected
 export const LOCATION_GROUPS = [
   {
     id: "thessaly",
+    nuts2: "EL61",
     name: "Thessaly",
     defaultCenter: [39.366, 22.945],
     defaultRadiusKm: 10,
-    wtpCsv: WTP_ALL_CSV,
   },
   {
     id: "attica",
+    nuts2: "EL30",
     name: "Attica",
     defaultCenter: [37.9838, 23.7275],
     defaultRadiusKm: 10,
-    wtpCsv: WTP_ALL_CSV,
   },
   {
     id: "iledefrance",
+    nuts2: "FR10",
     name: "Île-de-France",
     defaultCenter: [48.8566, 2.3522],
     defaultRadiusKm: 10,
-    wtpCsv: WTP_ALL_CSV,
   },
   {
     id: "budapest",
+    nuts2: "HU11",
     name: "Budapest",
     defaultCenter: [47.4979, 19.0402],
     defaultRadiusKm: 10,
-    wtpCsv: WTP_ALL_CSV,
   },
   {
     id: "campania",
+    nuts2: "ITF3",
     name: "Campania",
     defaultCenter: [40.8518, 14.2681],
     defaultRadiusKm: 10,
-    wtpCsv: WTP_ALL_CSV,
   },
 ];
-
-
-// Additional point datasets
-export const EXTRA_DATASETS = [
-  { key: "airports", label: "Airports", url: "/data/Airports_NUTS2_supply.csv" },
-  { key: "prisons", label: "Prisons", url: "/data/Prisons_NUTS2_supply.csv" },
-  { key: "stadiums", label: "Stadiums", url: "/data/Stadiums_NUTS2_supply.csv" },
-  { key: "universities", label: "Universities", url: "/data/Universities_NUTS2_supply.csv" },
-  { key: "chefExpress", label: "ChefExpress", url: "/data/CheffExpress_NUTS2_supply.csv" },
-  {
-  key: "trainStations",
-  label: "Train stations",
-  url: "/data/TrainStations_NUTS2_supply.csv",
-},
-{
-  key: "festivals",
-  label: "Festivals",
-  url: "/data/Festivals_NUTS2_supply.csv",
-},
-{
-  key: "construction",
-  label: "Construction sites",
-  url: "/data/ConstructionSites_NUTS2_supply.csv",
-},
-
-];
-
@@ -0,0 +1,129 @@
+// src/utils/datasetRegistry.js
+// The supply dataset manifest (public/data/datasets.json). Every layer the
+// app knows about is declared there — adding a dataset is a data-only change:
+//
+//   {
+//     key:          id used in URLs, toggles and row.__type
+//     label:        name in the dashboard, popups and reports
+//     category:     "wtp" (treatment plants) | "source_separation"
+//     url:          CSV under public/
+//     urlByCountry: optional smaller per-country CSVs (WTPs)
+//     color, icon:  map / legend styling (icon is a short emoji)
+//     columns:      { canonical: [aliases] } — extra column names for name,
+//                   lat, lon, kg_n_per_year, kg_p_per_year, capacity_pe,
+//                   visitors, country, province (see supplyRows.withColumnAliases)
+//     perVisitor:   optional { kgN, kgP } per visitor / capacity unit and year —
+//                   lets users place hypothetical facilities of the type
+//                   (utils/scenarioFacilities)
+//   }
+//
+// The first "wtp" entry is the WTP layer; the rest are point datasets.
+//
+// `facilityLists` are hand-researched CSVs in the "public buildings" format
+// (see utils/facilityLists) whose rows join the point datasets:
+//
+//   {
+//     key, label, url
+//     format: "public_buildings"
+//     types:  { ["Facility type" value]: dataset key }
+//     urine:  { kgNPerLitre, kgPPerLitre, litresPerPresence: { [type]: L/yr } }
+//   }
+
+import { DEFAULT_URINE } from "./facilityLists.js";
+
+export const DATASET_CATEGORIES = ["wtp", "source_separation"];
+
+export const DEFAULT_DATASET_COLOR = "#444444";
+
+function cleanEntry(d, i) {
+  const key = String(d?.key || "").trim();
+  if (!key) throw new Error(`datasets.json: entry ${i + 1} has no key`);
+  if (!d.url) throw new Error(`datasets.json: "${key}" has no url`);
+
+  const columns = {};
+  for (const [k, v] of Object.entries(d.columns || {})) {
+    const list = (Array.isArray(v) ? v : [v]).map(String).filter(Boolean);
+    if (list.length) columns[k] = list;
+  }
+
+  const kgN = Number(d.perVisitor?.kgN);
+  const kgP = Number(d.perVisitor?.kgP);
+  const perVisitor = Number.isFinite(kgN) && kgN >= 0 ? { kgN, kgP: Number.isFinite(kgP) && kgP >= 0 ? kgP : 0 } : null;
+
+  return {
+    key,
+    label: String(d.label || key),
+    category: DATASET_CATEGORIES.includes(d.category) ? d.category : "source_separation",
+    url: String(d.url),
+    ...(d.urlByCountry ? { urlByCountry: { ...d.urlByCountry } } : {}),
+    color: String(d.color || DEFAULT_DATASET_COLOR),
+    icon: String(d.icon || ""),
+    columns,
+    ...(perVisitor ? { perVisitor } : {}),
+  };
+}
+
+export const FACILITY_LIST_FORMATS = ["public_buildings"];
+
+function cleanFacilityList(l, i, datasetKeys) {
+  const key = String(l?.key || "").trim();
+  if (!key) throw new Error(`datasets.json: facility list ${i + 1} has no key`);
+  if (!l.url) throw new Error(`datasets.json: facility list "${key}" has no url`);
+  if (!FACILITY_LIST_FORMATS.includes(l.format)) {
+    throw new Error(`datasets.json: facility list "${key}" has an unknown format "${l.format}"`);
+  }
+
+  const types = {};
+  for (const [type, target] of Object.entries(l.types || {})) {
+    if (!datasetKeys.has(target)) {
+      throw new Error(`datasets.json: facility list "${key}" maps "${type}" to unknown dataset "${target}"`);
+    }
+    types[type] = target;
+  }
+
+  const urine = l.urine || {};
+  return {
+    key,
+    label: String(l.label || key),
+    url: String(l.url),
+    format: l.format,
+    types,
+    urine: {
+      kgNPerLitre: Number(urine.kgNPerLitre ?? DEFAULT_URINE.kgNPerLitre),
+      kgPPerLitre: Number(urine.kgPPerLitre ?? DEFAULT_URINE.kgPPerLitre),
+      litresPerPresence: { ...(urine.litresPerPresence || {}) },
+    },
+  };
+}
+
+/**
+ * Validates the manifest JSON. Returns { wtp, datasets, facilityLists } —
+ * the WTP entry, the point datasets in manifest order and the facility lists.
+ * Throws on a malformed manifest.
+ */
+export function parseDatasetManifest(json) {
+  if (!Array.isArray(json?.datasets)) throw new Error("datasets.json: no datasets list");
+
+  const all = json.datasets.map(cleanEntry);
+  const seen = new Set();
+  for (const d of all) {
+    if (seen.has(d.key)) throw new Error(`datasets.json: duplicate key "${d.key}"`);
+    seen.add(d.key);
+  }
+
+  const wtp = all.find((d) => d.category === "wtp");
+  if (!wtp) throw new Error('datasets.json: no dataset with category "wtp"');
+
+  const datasets = all.filter((d) => d !== wtp);
+  const datasetKeys = new Set(datasets.map((d) => d.key));
+  const facilityLists = (Array.isArray(json.facilityLists) ? json.facilityLists : []).map((l, i) =>
+    cleanFacilityList(l, i, datasetKeys)
+  );
+
+  return { wtp, datasets, facilityLists };
+}
+
+/* CSV of the WTP layer for a country (the per-country split when declared) */
+export function wtpCsvFor(wtp, country) {
+  return wtp?.urlByCountry?.[country] || wtp?.url || "";
+}
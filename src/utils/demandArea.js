@@ -0,0 +1,83 @@
+// src/utils/demandArea.js
+// Custom demand area: a FeatureCollection of Polygon features (WGS84), drawn
+// on the map or uploaded as GeoJSON. Used instead of the supply circles for
+// the Overpass query and the landuse inclusion test.
+
+export const EMPTY_AREA = { type: "FeatureCollection", features: [] };
+
+const isLonLat = (c) =>
+  Array.isArray(c) && Number.isFinite(c[0]) && Number.isFinite(c[1]) && Math.abs(c[0]) <= 180 && Math.abs(c[1]) <= 90;
+
+function closeRing(ring) {
+  const [a, b] = [ring[0], ring[ring.length - 1]];
+  return a[0] === b[0] && a[1] === b[1] ? ring : [...ring, a];
+}
+
+function cleanPolygon(rings, properties = {}) {
+  if (!Array.isArray(rings) || !rings.length) return null;
+  const out = [];
+  for (const ring of rings) {
+    if (!Array.isArray(ring)) return null;
+    const pts = ring.filter(isLonLat).map((c) => [Number(c[0]), Number(c[1])]);
+    if (pts.length < 3) {
+      if (!out.length) return null; // outer ring unusable
+      continue; // drop a broken hole
+    }
+    const closed = closeRing(pts);
+    if (closed.length < 4) continue;
+    out.push(closed);
+  }
+  return out.length ? { type: "Feature", properties, geometry: { type: "Polygon", coordinates: out } } : null;
+}
+
+function polygonsOf(geometry, properties) {
+  if (!geometry) return [];
+  if (geometry.type === "Polygon") return [cleanPolygon(geometry.coordinates, properties)];
+  if (geometry.type === "MultiPolygon") return (geometry.coordinates || []).map((c) => cleanPolygon(c, properties));
+  if (geometry.type === "GeometryCollection") return (geometry.geometries || []).flatMap((g) => polygonsOf(g, properties));
+  return [];
+}
+
+/**
+ * Uploaded GeoJSON (FeatureCollection, Feature or bare geometry) → area
+ * FeatureCollection with one Polygon feature per polygon. MultiPolygons are
+ * split; points / lines are ignored. Throws when nothing usable remains.
+ */
+export function parseDemandAreaGeoJson(json) {
+  const items =
+    json?.type === "FeatureCollection"
+      ? json.features || []
+      : json?.type === "Feature"
+      ? [json]
+      : json?.type
+      ? [{ type: "Feature", properties: {}, geometry: json }]
+      : [];
+
+  const features = items
+    .flatMap((f) => polygonsOf(f?.geometry, { name: f?.properties?.name || "" }))
+    .filter(Boolean);
+
+  if (!features.length) {
+    throw new Error("No polygons with longitude/latitude coordinates found in this GeoJSON.");
+  }
+  return { type: "FeatureCollection", features };
+}
+
+/** Polygon feature from Leaflet-style [lat, lon] vertices (≥ 3). */
+export function polygonFromLatLngs(latlngs, properties = {}) {
+  return cleanPolygon([latlngs.map(([lat, lon]) => [lon, lat])], properties);
+}
+
+/** [lat, lon] vertices of a feature's outer ring, without the closing point. */
+export function outerRingLatLngs(feature) {
+  const ring = feature?.geometry?.coordinates?.[0] || [];
+  return ring.slice(0, -1).map(([lon, lat]) => [lat, lon]);
+}
+
+/** Copy of `feature` with its outer ring replaced by `latlngs`; holes are kept. */
+export function withOuterRing(feature, latlngs) {
+  const next = polygonFromLatLngs(latlngs, feature.properties);
+  if (!next) return feature;
+  next.geometry.coordinates.push(...(feature.geometry.coordinates || []).slice(1));
+  return next;
+}
@@ -0,0 +1,81 @@
+// src/utils/demandRates.js
+// Fertilizer demand per landuse type, in kg per hectare per year.
+//
+// Defaults are indicative mineral-fertilizer recommendations for the dominant
+// crop of each OSM landuse class (farmland ≈ winter wheat, the value the
+// dashboard used for everything before). Agronomists can override them per
+// country in the dashboard; the overrides live in the browser (useDemandRates).
+
+export const DEFAULT_DEMAND_RATES = {
+  farmland: { n: 160, p: 80 }, // winter wheat
+  plantation: { n: 120, p: 50 },
+  orchard: { n: 100, p: 40 },
+  vineyard: { n: 60, p: 30 },
+  greenhouse_horticulture: { n: 250, p: 100 },
+  green_public_spaces: { n: 50, p: 20 }, // extensive turf / park maintenance
+};
+
+// Country-specific deviations from the defaults (only the types that differ).
+export const COUNTRY_DEMAND_OVERRIDES = {
+  Greece: {
+    orchard: { n: 80, p: 30 }, // mostly olive groves
+    plantation: { n: 80, p: 30 },
+  },
+  Italy: {
+    vineyard: { n: 50, p: 25 },
+  },
+  Hungary: {
+    farmland: { n: 140, p: 70 },
+  },
+  France: {
+    farmland: { n: 170, p: 70 },
+  },
+};
+
+const FALLBACK_RATE = DEFAULT_DEMAND_RATES.farmland;
+
+/**
+ * Rates for one country: defaults ← country overrides ← user overrides.
+ * Returns { [landuse]: { n, p } } in kg/ha/year.
+ */
+export function resolveDemandRates(country, custom = {}) {
+  const out = {};
+  const byCountry = COUNTRY_DEMAND_OVERRIDES[country] || {};
+  for (const t of new Set([...Object.keys(DEFAULT_DEMAND_RATES), ...Object.keys(custom || {})])) {
+    out[t] = { ...(DEFAULT_DEMAND_RATES[t] || FALLBACK_RATE), ...(byCountry[t] || {}), ...(custom?.[t] || {}) };
+  }
+  return out;
+}
+
+export function rateForLanduse(rates, landuse) {
+  return rates?.[landuse] || FALLBACK_RATE;
+}
+
+/** Yearly demand (kg N / kg P) of one landuse polygon with properties.area in m². */
+export function demandForFeature(feature, rates) {
+  const ha = (feature?.properties?.area || 0) / 1e4;
+  const r = rateForLanduse(rates, feature?.properties?.landuse);
+  return { n: ha * r.n, p: ha * r.p };
+}
+
+/**
+ * Sums demand over landuse polygons.
+ * Returns { n, p, areaM2, byType: { [landuse]: { areaM2, n, p } } }.
+ */
+export function computeDemand(features = [], rates = {}) {
+  const out = { n: 0, p: 0, areaM2: 0, byType: {} };
+  for (const f of features || []) {
+    const t = f?.properties?.landuse;
+    if (!t) continue;
+    const a = f?.properties?.area || 0;
+    const d = demandForFeature(f, rates);
+    const bt = out.byType[t] || (out.byType[t] = { areaM2: 0, n: 0, p: 0 });
+    bt.areaM2 += a;
+    bt.n += d.n;
+    bt.p += d.p;
+    out.areaM2 += a;
+    out.n += d.n;
+    out.p += d.p;
+  }
+  return out;
+}
@@ -0,0 +1,108 @@
+// src/utils/facilityLists.js
+// Hand-researched facility lists of the P2GreeN regions
+// (public/public-buildings.csv, public/locations/public-*.csv). One CSV mixes
+// facility types and has no kg N/P; each row names its yearly urine instead:
+//
+//   Facility type, P2GreeN Region ("Campania, Italy"), Name,
+//   Coordinates (Lat, Long), Yearly presence/ capacity, Source,
+//   Est. Attendance/Event/ uriners, Events/Year, Urine/Person/Event (L),
+//   Total Urine/Year
+//
+// The manifest (datasets.json, `facilityLists`) maps each facility type to a
+// point dataset, so the rows join that layer, and sets the conversion:
+//
+//   urine: { kgNPerLitre, kgPPerLitre, litresPerPresence: { [type]: L/yr } }
+
+import { toNum, pick, parseLatLon } from "./csvRows.js";
+
+// ≈ 4.0 kg N and 0.36 kg P in the ~550 L of urine a person excretes per year
+export const DEFAULT_URINE = { kgNPerLitre: 0.0073, kgPPerLitre: 0.00066, litresPerPresence: {} };
+
+// A listed site replaces a dataset row of the same layer closer than this (km)
+export const DUPLICATE_KM = 1;
+
+// "1,700" is a thousands separator here, not a decimal comma
+function count(v) {
+  const s = String(v ?? "").trim();
+  return toNum(/^\d{1,3}(,\d{3})+$/.test(s) ? s.replace(/,/g, "") : s);
+}
+
+function coordinates(v) {
+  const [lat, lon] = String(v ?? "")
+    .split(",")
+    .map((s) => toNum(s));
+  return lat != null && lon != null && Math.abs(lat) <= 90 && Math.abs(lon) <= 180 ? { lat, lon } : null;
+}
+
+/**
+ * Litres of urine per year of a row: the "Total Urine/Year" column, else
+ * uriners per event × events per year (1 when empty) × litres per event,
+ * else the yearly presence × the list's litresPerPresence for the type.
+ */
+export function urineLitresPerYear(row, urine = DEFAULT_URINE) {
+  const total = count(row["Total Urine/Year"]);
+  if (total != null) return total;
+
+  const uriners = count(row["Est. Attendance/Event/ uriners"]);
+  const perEvent = toNum(row["Urine/Person/Event (L)"]);
+  if (uriners != null && perEvent != null) return uriners * (count(row["Events/Year"]) ?? 1) * perEvent;
+
+  const presence = count(row["Yearly presence/ capacity"]);
+  const perPresence = toNum(urine.litresPerPresence?.[String(row["Facility type"] || "").trim()]);
+  return presence != null && perPresence != null ? presence * perPresence : 0;
+}
+
+/**
+ * Rows of a facility list ({ types, urine } of the manifest) grouped by
+ * dataset key, with the columns the point datasets use (name, lat, lon,
+ * country, province, visitors, kg_n_per_year, kg_p_per_year). Rows of an
+ * unmapped type or without coordinates are dropped. Pass `out` to collect
+ * several lists into one object.
+ */
+export function facilityListRows(raw, { types = {}, urine = DEFAULT_URINE } = {}, out = {}) {
+  for (const r of raw || []) {
+    const key = types[String(r["Facility type"] || "").trim()];
+    const at = coordinates(r["Coordinates (Lat, Long)"]);
+    if (!key || !at) continue;
+
+    const region = String(r["P2GreeN Region"] || "");
+    const i = region.lastIndexOf(",");
+    const litres = urineLitresPerYear(r, urine);
+
+    (out[key] || (out[key] = [])).push({
+      name: String(pick(r, ["Name"]) || ""),
+      lat: at.lat,
+      lon: at.lon,
+      country: i > 0 ? region.slice(i + 1).trim() : "",
+      province: i > 0 ? region.slice(0, i).trim() : region.trim(),
+      visitors: count(r["Yearly presence/ capacity"]),
+      urine_l_per_year: litres,
+      kg_n_per_year: litres * (toNum(urine.kgNPerLitre) ?? DEFAULT_URINE.kgNPerLitre),
+      kg_p_per_year: litres * (toNum(urine.kgPPerLitre) ?? DEFAULT_URINE.kgPPerLitre),
+      source: String(r.Source || ""),
+    });
+  }
+  return out;
+}
+
+function km(a, b) {
+  const rad = Math.PI / 180;
+  const x = (b.lon - a.lon) * rad * Math.cos(((a.lat + b.lat) / 2) * rad);
+  const y = (b.lat - a.lat) * rad;
+  return Math.sqrt(x * x + y * y) * 6371;
+}
+
+/**
+ * `rows` of a dataset plus the hand-researched sites of its layer. Rows
+ * within DUPLICATE_KM of a listed site are dropped so a facility is not
+ * counted twice; `locate(row)` gives their { lat, lon }.
+ */
+export function withListedSites(rows, listRows, locate = parseLatLon) {
+  if (!listRows?.length) return rows;
+  const kept = rows.filter((r) => {
+    const p = locate(r);
+    if (p?.lat == null || p?.lon == null) return true;
+    return !listRows.some((s) => km(p, s) < DUPLICATE_KM);
+  });
+  return [...kept, ...listRows];
+}
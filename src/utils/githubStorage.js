@@ -59,19 +59,36 @@ async function readError(res, fallback) {
   return `${fallback} (${res.status})`;
 }
 
+// Like readError, but keeps the server's validation report (422) on the Error.
+async function uploadError(res) {
+  let j = null;
+  try {
+    j = await res.json();
+  } catch {
+    /* ignore */
+  }
+  const err = new Error(j?.error || `Upload failed (${res.status})`);
+  if (j?.report) err.report = j.report;
+  return err;
+}
+
 /**
  * Upload (create or overwrite) a CSV via the serverless function.
- * Returns { name, path, overwrote, downloadUrl, htmlUrl }.
+ * `mapping` (from the column-mapping step) is stored next to the file as
+ * `<name>.mapping.json`.
+ * Returns { name, path, overwrote, downloadUrl, htmlUrl, mappingPath, report }.
+ * Throws an Error with `.report` (validation report) when the server rejects
+ * the file as unusable.
  */
-export async function uploadCsv(file, passcode = getPasscode()) {
+export async function uploadCsv(file, passcode = getPasscode(), mapping = null) {
   const name = file.name;
   const contentBase64 = await fileToBase64(file);
   const res = await fetch(API, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ name, contentBase64, passcode }),
+    body: JSON.stringify({ name, contentBase64, passcode, ...(mapping ? { mapping } : {}) }),
   });
-  if (!res.ok) throw new Error(await readError(res, "Upload failed"));
+  if (!res.ok) throw await uploadError(res);
   return res.json();
 }
 
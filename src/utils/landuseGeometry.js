@@ -0,0 +1,312 @@
+// src/utils/landuseGeometry.js
+// Demand-area geometry for the landuse layer: which OSM polygons count toward
+// demand for a set of supply circles, and how much of each one.
+//
+// A center may carry its own `radiusKm` (per-source radius); the `radiusKm`
+// argument is the fallback for centers without one. Instead of circles the
+// demand area can also be a custom polygon set (see the bottom of the file).
+
+import {
+  bbox as turfBbox,
+  bboxPolygon,
+  booleanIntersects,
+  booleanPointInPolygon,
+  centroid,
+  circle,
+  distance,
+  featureCollection,
+  intersect,
+  union,
+  area as turfArea,
+  feature as turfFeature,
+} from "@turf/turf";
+import { GREEN_LEISURE } from "./overpassQuery.js";
+
+function asNum(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function radiusOf(p, fallbackKm) {
+  const km = asNum(p?.radiusKm) ?? asNum(fallbackKm);
+  return km != null && km > 0 ? km : 0;
+}
+
+/* ✅ One bbox around all circle centers to fetch quickly */
+export function bboxAroundCenters(centers, radiusKm) {
+  const pts = (centers || [])
+    .map((p) => ({ lat: asNum(p.lat), lon: asNum(p.lon), r: radiusOf(p, radiusKm) }))
+    .filter((p) => p.lat != null && p.lon != null);
+
+  if (!pts.length) return null;
+
+  let minLat = Infinity,
+    maxLat = -Infinity,
+    minLon = Infinity,
+    maxLon = -Infinity;
+
+  for (const p of pts) {
+    const latPad = p.r / 111;
+    const cos = Math.cos((p.lat * Math.PI) / 180) || 1;
+    const lonPad = p.r / (111 * cos);
+
+    minLat = Math.min(minLat, p.lat - latPad);
+    maxLat = Math.max(maxLat, p.lat + latPad);
+    minLon = Math.min(minLon, p.lon - lonPad);
+    maxLon = Math.max(maxLon, p.lon + lonPad);
+  }
+
+  return { south: minLat, west: minLon, north: maxLat, east: maxLon };
+}
+
+/* ✅ Build per-circle bbox list for prefiltering */
+export function buildCircleBBoxes(centers, radiusKm) {
+  const out = [];
+  for (const p of centers || []) {
+    const lat = asNum(p.lat);
+    const lon = asNum(p.lon);
+    const km = radiusOf(p, radiusKm);
+    if (lat == null || lon == null || km <= 0) continue;
+
+    const latPad = km / 111;
+    const cos = Math.cos((lat * Math.PI) / 180) || 1;
+    const lonPad = km / (111 * cos);
+
+    out.push({
+      lat,
+      lon,
+      radiusKm: km,
+      minLat: lat - latPad,
+      maxLat: lat + latPad,
+      minLon: lon - lonPad,
+      maxLon: lon + lonPad,
+    });
+  }
+  return out;
+}
+
+/* Whether a fetch tile { south, west, north, east } overlaps any circle's bbox */
+export function tileTouchesCircles(tile, circleBoxes) {
+  return (circleBoxes || []).some(
+    (b) => b.minLat <= tile.north && b.maxLat >= tile.south && b.minLon <= tile.east && b.maxLon >= tile.west
+  );
+}
+
+/* ✅ SUPER FAST: centroid inside ANY circle using bbox prefilter + distance */
+export function centroidInsideAnyCircle(polyFeature, circleBoxes, radiusKm) {
+  let c;
+  try {
+    c = centroid(polyFeature);
+  } catch {
+    return false;
+  }
+  const [cx, cy] = c?.geometry?.coordinates || [];
+  if (!Number.isFinite(cx) || !Number.isFinite(cy)) return false;
+
+  // bbox prefilter first, distance second
+  for (const b of circleBoxes || []) {
+    if (cy < b.minLat || cy > b.maxLat || cx < b.minLon || cx > b.maxLon) continue;
+
+    const d = distance([cx, cy], [b.lon, b.lat], { units: "kilometers" });
+    if (d <= radiusOf(b, radiusKm)) return true;
+  }
+  return false;
+}
+
+const CIRCLE_STEPS = 48;
+const circlePolygons = new Map();
+
+function circlePolygon(b, km) {
+  const key = `${b.lat},${b.lon},${km}`;
+  let c = circlePolygons.get(key);
+  if (!c) {
+    c = circle([b.lon, b.lat], km, { steps: CIRCLE_STEPS, units: "kilometers" });
+    if (circlePolygons.size > 5000) circlePolygons.clear();
+    circlePolygons.set(key, c);
+  }
+  return c;
+}
+
+/**
+ * Accurate mode: the part of `polyFeature` inside the union of the circles.
+ * Returns a Polygon/MultiPolygon feature (properties copied) or null when the
+ * polygon doesn't touch any circle.
+ */
+export function clipToCircles(polyFeature, circleBoxes, radiusKm) {
+  let bb;
+  try {
+    bb = turfBbox(polyFeature);
+  } catch {
+    return null;
+  }
+  const [minX, minY, maxX, maxY] = bb;
+
+  const kmOf = (b) => radiusOf(b, radiusKm);
+  const near = (circleBoxes || []).filter(
+    (b) => kmOf(b) > 0 && !(b.maxLat < minY || b.minLat > maxY || b.maxLon < minX || b.minLon > maxX)
+  );
+  if (!near.length) return null;
+
+  // Polygon fully inside one circle (all bbox corners within the radius) — nothing to clip
+  const corners = [
+    [minX, minY],
+    [minX, maxY],
+    [maxX, minY],
+    [maxX, maxY],
+  ];
+  for (const b of near) {
+    if (corners.every((c) => distance(c, [b.lon, b.lat], { units: "kilometers" }) <= kmOf(b))) return polyFeature;
+  }
+
+  try {
+    const mask =
+      near.length === 1
+        ? circlePolygon(near[0], kmOf(near[0]))
+        : union(featureCollection(near.map((b) => circlePolygon(b, kmOf(b)))));
+    if (!mask) return null;
+
+    const clipped = intersect(featureCollection([polyFeature, mask]));
+    if (!clipped) return null;
+    clipped.properties = { ...(polyFeature.properties || {}) };
+    return clipped;
+  } catch {
+    // degenerate OSM geometry — fall back to the centroid rule
+    return centroidInsideAnyCircle(polyFeature, circleBoxes, radiusKm) ? polyFeature : null;
+  }
+}
+
+/* ---------------- Custom demand area (drawn / uploaded polygons) ---------------- */
+
+/* Overpass bbox around a demand-area FeatureCollection, or null when empty */
+export function bboxOfArea(area) {
+  if (!area?.features?.length) return null;
+  try {
+    const [west, south, east, north] = turfBbox(area);
+    if (![west, south, east, north].every(Number.isFinite)) return null;
+    return { south, west, north, east };
+  } catch {
+    return null;
+  }
+}
+
+/* Whether a fetch tile { south, west, north, east } overlaps the area at all */
+export function tileTouchesArea(tile, area) {
+  let rect;
+  try {
+    rect = bboxPolygon([tile.west, tile.south, tile.east, tile.north]);
+  } catch {
+    return true;
+  }
+  return (area?.features || []).some((f) => {
+    try {
+      return booleanIntersects(rect, f);
+    } catch {
+      return true; // broken shape: fetch rather than lose land
+    }
+  });
+}
+
+export function centroidInsideArea(polyFeature, area) {
+  let c;
+  try {
+    c = centroid(polyFeature);
+  } catch {
+    return false;
+  }
+  if (!c?.geometry) return false;
+
+  for (const f of area?.features || []) {
+    try {
+      if (booleanPointInPolygon(c, f)) return true;
+    } catch {
+      /* skip broken shape */
+    }
+  }
+  return false;
+}
+
+// One merged mask per area object (the area is replaced, never mutated)
+const areaMasks = new WeakMap();
+
+function areaMask(area) {
+  if (areaMasks.has(area)) return areaMasks.get(area);
+  let mask = null;
+  try {
+    mask = area.features.length === 1 ? area.features[0] : union(featureCollection(area.features));
+  } catch {
+    mask = null;
+  }
+  areaMasks.set(area, mask);
+  return mask;
+}
+
+/**
+ * Accurate mode for a custom area: the part of `polyFeature` inside it, or null.
+ */
+export function clipToArea(polyFeature, area) {
+  if (!area?.features?.length) return null;
+  const mask = areaMask(area);
+  if (!mask) return centroidInsideArea(polyFeature, area) ? polyFeature : null;
+
+  try {
+    const clipped = intersect(featureCollection([polyFeature, mask]));
+    if (!clipped) return null;
+    clipped.properties = { ...(polyFeature.properties || {}) };
+    return clipped;
+  } catch {
+    return centroidInsideArea(polyFeature, area) ? polyFeature : null;
+  }
+}
+
+/* ---------------- Landuse post-processing ---------------- */
+
+/**
+ * The Overpass/snapshot polygons that count toward demand, each a Feature
+ * with { landuse, area } (m², clipped in clip mode, plus fullArea).
+ *
+ * opts: { landuse: [enabled keys], clip, circleBoxes, radiusKm, area }
+ * — `area` (custom demand area) wins over the circles when set.
+ * onProgress(done, total) is called every few hundred polygons and awaited,
+ * so it can pause the loop or throw to stop it.
+ */
+export async function keptLanduseFeatures(gj, opts, onProgress = null) {
+  const { landuse = [], clip = false, circleBoxes = [], radiusKm, area = null } = opts || {};
+  const enabled = new Set(landuse);
+  const features = gj?.features || [];
+  const kept = [];
+
+  for (let i = 0; i < features.length; i++) {
+    if (onProgress && i % 500 === 0) await onProgress(i, features.length);
+    const f = features[i];
+
+    let lu = f.properties?.landuse ?? f.properties?.tags?.landuse;
+    const leisure = f.properties?.leisure ?? f.properties?.tags?.leisure;
+    if (!lu && leisure && GREEN_LEISURE.includes(leisure)) lu = "green_public_spaces";
+
+    if (!lu || !enabled.has(lu)) continue;
+
+    const g = f.geometry;
+    if (!g || (g.type !== "Polygon" && g.type !== "MultiPolygon")) continue;
+
+    let tf = turfFeature(g, { landuse: lu });
+
+    if (clip) {
+      const fullArea = turfArea(tf);
+      tf = area ? clipToArea(tf, area) : clipToCircles(tf, circleBoxes, radiusKm);
+      if (!tf) continue;
+      tf.properties.fullArea = fullArea;
+    } else if (area ? !centroidInsideArea(tf, area) : !centroidInsideAnyCircle(tf, circleBoxes, radiusKm)) {
+      continue;
+    }
+
+    const a = turfArea(tf);
+    if (!Number.isFinite(a) || a <= 0) continue;
+
+    tf.properties.area = a;
+    tf.id = f.id ?? `plot-${i}`; // stable layer key on the map
+    kept.push(tf);
+  }
+
+  if (onProgress) onProgress(features.length, features.length);
+  return kept;
+}
@@ -0,0 +1,171 @@
+// src/utils/nuts2Regions.js
+// NUTS-2 codes are the key of a province everywhere: rows, the region index,
+// map URLs (/map/ITF3). public/data/nuts2_regions.json lists every region in
+// scope with its country, canonical name (what the CSVs mostly use, also the
+// key of saved demand areas and landuse snapshots), localized names and
+// aliases:
+//
+//   "EL51": { "country": "Greece", "name": "Eastern Macedonia and Thrace",
+//             "names": { "el": "Ανατολική Μακεδονία, Θράκη" },
+//             "aliases": ["Anatoliki Makedonia, Thraki"] }
+//
+// A row is resolved by its nuts2_id, else its province name / alias, else the
+// NUTS-2 outline (public/data/nuts2.geojson) its coordinates fall in — among
+// the outlines of the row's own country when it has one.
+
+import { booleanPointInPolygon, bbox as turfBbox, point as turfPoint } from "@turf/turf";
+import { normalizeCountry, isKnownCountry } from "./countries.js";
+import { normalizeProvinceName } from "./provinces.js";
+import { pick, parseLatLon } from "./csvRows.js";
+
+let table = { version: 1, regions: {} };
+
+// code -> { code, country, name, names, aliases }
+const REGIONS = new Map();
+
+// `${country}|${key}` and `|${key}` -> code ("" when the name is ambiguous)
+const BY_NAME = new Map();
+
+// [{ code, country, box: [w, s, e, n], feature }]
+let outlines = [];
+
+// Accent-, case- and punctuation-insensitive name key
+function nameKey(v) {
+  return normalizeProvinceName(v)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u2019'`\u00b4]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function addName(country, name, code) {
+  const key = nameKey(name);
+  if (!key) return;
+  BY_NAME.set(`${country}|${key}`, code);
+  const any = `|${key}`;
+  BY_NAME.set(any, BY_NAME.has(any) && BY_NAME.get(any) !== code ? "" : code);
+}
+
+/** Applies the region table ({ regions } as in nuts2_regions.json). */
+export function setNuts2Regions(next) {
+  table = next && typeof next.regions === "object" ? next : { version: 1, regions: {} };
+
+  REGIONS.clear();
+  BY_NAME.clear();
+  for (const [code, r] of Object.entries(table.regions)) {
+    const country = normalizeCountry(r?.country);
+    if (!country || !r.name) continue;
+    REGIONS.set(code, {
+      code,
+      country,
+      name: String(r.name),
+      names: r.names || {},
+      aliases: Array.isArray(r.aliases) ? r.aliases : [],
+    });
+    for (const n of [code, r.name, ...Object.values(r.names || {}), ...(r.aliases || [])]) addName(country, n, code);
+  }
+}
+
+/* The active table, plain JSON (handed to the data worker) */
+export function getNuts2Regions() {
+  return table;
+}
+
+/** Outlines for the coordinate lookup (FeatureCollection with properties.nuts2_id). */
+export function setNuts2Outlines(fc) {
+  outlines = (fc?.features || [])
+    .filter((f) => f?.geometry && f.properties?.nuts2_id)
+    .map((f) => ({
+      code: f.properties.nuts2_id,
+      country: normalizeCountry(f.properties.country) || REGIONS.get(f.properties.nuts2_id)?.country || "",
+      box: turfBbox(f),
+      feature: f,
+    }));
+}
+
+export function hasNuts2Outlines() {
+  return outlines.length > 0;
+}
+
+/** { code, country, name, names, aliases } of a code, or null. */
+export function nuts2Region(code) {
+  return REGIONS.get(code) || null;
+}
+
+/** True for strings shaped like a NUTS-2 code of a known country ("ITF3", "EL30"). */
+export function isNuts2Code(v) {
+  const s = String(v ?? "").trim();
+  return /^[A-Z]{2}[0-9A-Z]{2}$/.test(s) && (REGIONS.has(s) || isKnownCountry(s.slice(0, 2)));
+}
+
+/** Code of a region name or alias ("Anatoliki Makedonia, Thraki" -> "EL51"), or "". */
+export function nuts2ByName(name, country = "") {
+  const key = nameKey(name);
+  if (!key) return "";
+  const c = normalizeCountry(country);
+  return (c ? BY_NAME.get(`${c}|${key}`) : BY_NAME.get(`|${key}`)) || "";
+}
+
+/**
+ * Code of the outline containing the point, or "". With `country`
+ * (normalized) only that country's outlines are searched, so a point near a
+ * border never moves a row to the neighbouring country.
+ */
+export function nuts2AtPoint(lat, lon, country = "") {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return "";
+  const pt = turfPoint([lon, lat]);
+  for (const o of outlines) {
+    if (country && o.country !== country) continue;
+    const [w, s, e, n] = o.box;
+    if (lon < w || lon > e || lat < s || lat > n) continue;
+    if (booleanPointInPolygon(pt, o.feature)) return o.code;
+  }
+  return "";
+}
+
+/**
+ * NUTS-2 code of a CSV row: nuts2_id, else a code or name in the province
+ * column ("ITF3", "ITF3 - Campania", "Campania"), else the coordinates.
+ * `country` (normalized) restricts the name and coordinate lookups. "" when
+ * unresolved.
+ */
+export function resolveNuts2(row, country = "") {
+  const id = String(pick(row, ["nuts2_id", "NUTS2_ID", "nuts_id", "NUTS_ID"]) ?? "").trim().toUpperCase();
+  if (isNuts2Code(id)) return id;
+
+  const province = String(pick(row, ["province", "Province", "nuts2", "NUTS2"]) ?? "").trim();
+  if (province) {
+    if (isNuts2Code(province)) return province;
+    const prefix = province.split(" - ")[0].trim();
+    if (prefix !== province && isNuts2Code(prefix)) return prefix;
+    const byName = nuts2ByName(province, country);
+    if (byName) return byName;
+  }
+
+  const { lat, lon } = parseLatLon(row);
+  return lat != null && lon != null ? nuts2AtPoint(lat, lon, country) : "";
+}
+
+// Two-letter language of the browser ("en" elsewhere)
+function uiLanguage() {
+  const l = typeof navigator !== "undefined" ? navigator.language : "";
+  return String(l || "en").slice(0, 2).toLowerCase();
+}
+
+/** Display name of a region in the UI language, falling back to its canonical name / the code. */
+export function regionLabel(code, lang = uiLanguage()) {
+  const r = REGIONS.get(code);
+  if (!r) return code || "";
+  return r.names[lang] || r.name;
+}
+
+/** Case/accent-insensitive search over a region's code, names and aliases. */
+export function regionMatches(code, query) {
+  const q = nameKey(query);
+  if (!q) return true;
+  const r = REGIONS.get(code);
+  const all = [code, ...(r ? [r.name, ...Object.values(r.names), ...r.aliases] : [])];
+  return all.some((n) => nameKey(n).includes(q));
+}
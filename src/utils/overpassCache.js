@@ -0,0 +1,180 @@
+// src/utils/overpassCache.js
+// Persistent cache of Overpass landuse results (the osmtogeojson output),
+// stored in IndexedDB so reloads / province switches don't hit the public
+// Overpass servers again.
+//
+// Entries are keyed by tag set + bbox. A lookup is served by any unexpired
+// entry with the same tag set whose bbox *contains* the requested one — the
+// map filters polygons to the demand circles afterwards, so extra polygons
+// from a larger area are harmless.
+//
+// Two object stores: "meta" (small, scanned on lookup) and "data" (the
+// GeoJSON, read only for the chosen entry). Falls back to an in-memory Map
+// when IndexedDB is unavailable (private browsing, old browsers).
+
+const DB_NAME = "p2g-overpass-cache";
+const DB_VERSION = 1;
+const META = "meta";
+const DATA = "data";
+
+export const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 1 week
+const MAX_ENTRIES = 40;
+const MAX_TOTAL_CHARS = 150 * 1024 * 1024; // ≈ JSON text size of all entries
+
+const memory = new Map(); // key -> { meta, geojson }
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    try {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(META)) db.createObjectStore(META, { keyPath: "key" });
+        if (!db.objectStoreNames.contains(DATA)) db.createObjectStore(DATA);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+  return dbPromise;
+}
+
+function reqAsPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function tagsKeyFor(tags = []) {
+  return [...tags].sort().join("|");
+}
+
+function bboxKey(b) {
+  return [b.south, b.west, b.north, b.east].map((v) => Number(v).toFixed(4)).join(",");
+}
+
+function contains(outer, inner) {
+  const eps = 1e-6;
+  return (
+    outer.south <= inner.south + eps &&
+    outer.west <= inner.west + eps &&
+    outer.north >= inner.north - eps &&
+    outer.east >= inner.east - eps
+  );
+}
+
+const bboxArea = (b) => (b.north - b.south) * (b.east - b.west);
+
+// Smallest unexpired entry with the same tags covering `bbox`.
+function bestMatch(metas, tagsKey, bbox, now) {
+  let best = null;
+  for (const m of metas) {
+    if (m.tags !== tagsKey || now - m.savedAt > CACHE_TTL_MS) continue;
+    if (!contains(m.bbox, bbox)) continue;
+    if (!best || bboxArea(m.bbox) < bboxArea(best.bbox)) best = m;
+  }
+  return best;
+}
+
+/**
+ * Cached GeoJSON for `tagsKey` covering `bbox`, or null.
+ */
+export async function getCachedLanduse(tagsKey, bbox) {
+  const now = Date.now();
+
+  const mem = bestMatch(
+    Array.from(memory.values(), (e) => e.meta),
+    tagsKey,
+    bbox,
+    now
+  );
+  if (mem) return memory.get(mem.key).geojson;
+
+  const db = await openDb();
+  if (!db) return null;
+
+  try {
+    const metas = await reqAsPromise(db.transaction(META).objectStore(META).getAll());
+    const hit = bestMatch(metas || [], tagsKey, bbox, now);
+    if (!hit) return null;
+
+    const geojson = await reqAsPromise(db.transaction(DATA).objectStore(DATA).get(hit.key));
+    if (!geojson) return null;
+
+    memory.set(hit.key, { meta: hit, geojson });
+
+    // bump usedAt for LRU eviction (fire and forget)
+    const tx = db.transaction(META, "readwrite");
+    tx.objectStore(META).put({ ...hit, usedAt: now });
+
+    return geojson;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stores `geojson` for `tagsKey` + `bbox`. `sizeChars` is the length of the
+ * Overpass response text (used for the total-size cap).
+ */
+export async function putCachedLanduse(tagsKey, bbox, geojson, sizeChars = 0) {
+  const now = Date.now();
+  const key = `${tagsKey}@${bboxKey(bbox)}`;
+  const meta = { key, tags: tagsKey, bbox: { ...bbox }, savedAt: now, usedAt: now, size: sizeChars };
+
+  memory.set(key, { meta, geojson });
+  while (memory.size > MAX_ENTRIES) memory.delete(memory.keys().next().value);
+
+  const db = await openDb();
+  if (!db) return;
+
+  try {
+    const tx = db.transaction([META, DATA], "readwrite");
+    tx.objectStore(META).put(meta);
+    tx.objectStore(DATA).put(geojson, key);
+    await txDone(tx);
+    await evict(db, now);
+  } catch {
+    /* quota exceeded etc. — the in-memory copy still serves this session */
+  }
+}
+
+// Drop expired entries, then least-recently-used ones until under both caps.
+async function evict(db, now) {
+  const metas = (await reqAsPromise(db.transaction(META).objectStore(META).getAll())) || [];
+
+  const drop = new Set(metas.filter((m) => now - m.savedAt > CACHE_TTL_MS).map((m) => m.key));
+  const live = metas.filter((m) => !drop.has(m.key)).sort((a, b) => b.usedAt - a.usedAt);
+
+  let total = 0;
+  live.forEach((m, i) => {
+    total += m.size || 0;
+    if (i >= MAX_ENTRIES || total > MAX_TOTAL_CHARS) drop.add(m.key);
+  });
+
+  if (!drop.size) return;
+
+  const tx = db.transaction([META, DATA], "readwrite");
+  for (const k of drop) {
+    tx.objectStore(META).delete(k);
+    tx.objectStore(DATA).delete(k);
+    memory.delete(k);
+  }
+  await txDone(tx);
+}
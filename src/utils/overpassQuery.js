@@ -0,0 +1,76 @@
+// src/utils/overpassQuery.js
+// Overpass QL for the landuse layers. Shared by the map and
+// scripts/extract-landuse-snapshot.mjs so snapshots match live queries.
+
+// green_public_spaces is not a real OSM landuse tag — it is queried via leisure
+export const GREEN_LEISURE = ["park", "garden", "nature_reserve", "recreation_ground"];
+
+/**
+ * Query for the enabled landuse types inside bbox { south, west, north, east }.
+ * Uses way+relation only (nodes can never be polygons — no need to fetch them).
+ */
+export function buildLanduseQuery(bbox, enabled = [], timeoutSec = 30) {
+  const landuseTags = enabled.filter((k) => k !== "green_public_spaces");
+  const wantGreen = enabled.includes("green_public_spaces");
+  const { south, west, north, east } = bbox;
+
+  const queryParts = [];
+  if (landuseTags.length) {
+    queryParts.push(
+      `way["landuse"~"${landuseTags.join("|")}"](${south},${west},${north},${east});`,
+      `relation["landuse"~"${landuseTags.join("|")}"](${south},${west},${north},${east});`
+    );
+  }
+  if (wantGreen) {
+    queryParts.push(
+      `way["leisure"~"${GREEN_LEISURE.join("|")}"](${south},${west},${north},${east});`,
+      `relation["leisure"~"${GREEN_LEISURE.join("|")}"](${south},${west},${north},${east});`
+    );
+  }
+
+  return `[out:json][timeout:${timeoutSec}];\n(\n${queryParts.join("\n")}\n);\nout geom;`;
+}
+
+// Region-wide bboxes (a whole NUTS-2 region, a large drawn area) are fetched
+// as grid-aligned tiles with a longer timeout: one query over e.g. all of
+// Île-de-France runs into Overpass' time and memory limits. Aligned tiles are
+// reused by the bbox cache when the area changes.
+export const TILE_DEG = 0.5;
+export const TILE_TIMEOUT_SEC = 90;
+
+/**
+ * [bbox] when it fits in one tile, otherwise the TILE_DEG grid cells covering
+ * it (edge cells clipped to it).
+ */
+export function landuseTiles(bbox, tileDeg = TILE_DEG) {
+  const { south, west, north, east } = bbox;
+  if (north - south <= tileDeg && east - west <= tileDeg) return [bbox];
+
+  const tiles = [];
+  for (let s = Math.floor(south / tileDeg) * tileDeg; s < north; s += tileDeg) {
+    for (let w = Math.floor(west / tileDeg) * tileDeg; w < east; w += tileDeg) {
+      tiles.push({
+        south: Math.max(s, south),
+        west: Math.max(w, west),
+        north: Math.min(s + tileDeg, north),
+        east: Math.min(w + tileDeg, east),
+      });
+    }
+  }
+  return tiles;
+}
+
+/** File-system / URL friendly name: "Île-de-France" -> "ile-de-france". */
+export function slugify(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0370-\u03ff]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/** Path (under public/) of the pre-extracted landuse GeoJSON for a province. */
+export function landuseSnapshotPath(country, province) {
+  return `landuse/${slugify(country)}/${slugify(province)}.geojson`;
+}
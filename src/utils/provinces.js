@@ -0,0 +1,73 @@
+// src/utils/provinces.js
+// Province (NUTS-2) naming shared by the hooks and the build scripts.
+
+/**
+ * Normalize province names (especially Greece) to canonical English NUTS-2 names
+ */
+export function normalizeProvinceName(p) {
+  if (p == null) return "";
+  let s = String(p).trim();
+  if (!s) return "";
+
+  // Handle "CODE - Name"
+  const dashIdx = s.indexOf(" - ");
+  if (dashIdx !== -1) s = s.slice(dashIdx + 3).trim();
+
+  // Fix mixed Latin/GGreek leading A (observed in WTP CSV: "Aττική")
+  s = s.replace(/^A(?=[\u0370-\u03FF])/u, "Α");
+
+  const norm = (x) =>
+    String(x)
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[,_-]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+
+  const key = norm(s);
+
+  const MAP = {
+    // Attica
+    "αττικη": "Attica",
+
+    // Eastern Macedonia & Thrace
+    "ανατολικη μακεδονια θρακη": "Eastern Macedonia and Thrace",
+    "ανατολικη μακεδονια και θρακη": "Eastern Macedonia and Thrace",
+
+    // Central Macedonia
+    "κεντρικη μακεδονια": "Central Macedonia",
+
+    // Western Macedonia
+    "δυτικη μακεδονια": "Western Macedonia",
+
+    // Thessaly
+    "θεσσαλια": "Thessaly",
+
+    // Epirus
+    "ηπειρος": "Epirus",
+
+    // Ionian Islands
+    "ιονια νησια": "Ionian Islands",
+
+    // Western Greece
+    "δυτικη ελλαδα": "Western Greece",
+
+    // Central Greece
+    "στερεα ελλαδα": "Central Greece",
+
+    // Peloponnese
+    "πελοποννησος": "Peloponnese",
+
+    // North Aegean
+    "βορειο αιγαιο": "North Aegean",
+
+    // South Aegean
+    "νοτιο αιγαιο": "South Aegean",
+
+    // Crete
+    "κρητη": "Crete",
+  };
+
+  return MAP[key] || s;
+}
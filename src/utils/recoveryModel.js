@@ -0,0 +1,77 @@
+// src/utils/recoveryModel.js
+// Nutrient recovery at waste water treatment plants: how much of a plant's
+// gross N/P load a recovery pathway turns into fertilizer.
+//
+// The gross load comes from the plant's capacity (GROSS_LOAD_PER_PE × p.e.,
+// see supplyRows.computeWtpKgN). A pathway recovers a fraction of it, which
+// may differ per size class — small plants have no anaerobic digestion, so
+// no side-stream for struvite or ammonia stripping. Users pick the pathway and
+// edit the fractions in the dashboard; the edits live in the browser
+// (useRecoveryModel).
+
+// kg per population equivalent and year (influent load)
+export const GROSS_LOAD_PER_PE = { n: 4.32, p: 0.72 };
+
+// Size classes by "Capacity (p.e)", upper bound exclusive
+export const WTP_SIZE_CLASSES = [
+  { key: "small", label: "< 2,000 p.e.", maxPe: 2000 },
+  { key: "medium", label: "2,000–10,000 p.e.", maxPe: 10000 },
+  { key: "large", label: "10,000–100,000 p.e.", maxPe: 100000 },
+  { key: "xlarge", label: "≥ 100,000 p.e.", maxPe: Infinity },
+];
+
+const NO_DIGESTER = { small: { n: 0, p: 0 }, medium: { n: 0, p: 0 } };
+
+// Indicative fractions of the influent load recovered as fertilizer
+export const RECOVERY_PATHWAYS = {
+  gross: { label: "None (gross load)", n: 1, p: 1 },
+  sludge_application: { label: "Sludge application to land", n: 0.2, p: 0.8 },
+  struvite: { label: "Struvite precipitation", n: 0.03, p: 0.25, byClass: NO_DIGESTER },
+  ammonia_stripping: { label: "Ammonia stripping", n: 0.15, p: 0, byClass: NO_DIGESTER },
+  sludge_ash: { label: "P recovery from sludge ash", n: 0, p: 0.7, byClass: NO_DIGESTER },
+};
+
+export const DEFAULT_RECOVERY_PATHWAY = "sludge_application";
+
+/** Size class key of a plant capacity; null capacities count as the smallest class. */
+export function sizeClassFor(pe) {
+  const v = Number(pe) || 0;
+  return (WTP_SIZE_CLASSES.find((c) => v < c.maxPe) || WTP_SIZE_CLASSES[WTP_SIZE_CLASSES.length - 1]).key;
+}
+
+/**
+ * Fractions of one pathway per size class: pathway ← its class values ←
+ * user overrides. `custom` is { [classKey]: { n?, p? } }.
+ * Returns { [classKey]: { n, p } }.
+ */
+export function resolveEfficiencies(pathway, custom = {}) {
+  const def = RECOVERY_PATHWAYS[pathway] || RECOVERY_PATHWAYS[DEFAULT_RECOVERY_PATHWAY];
+  const out = {};
+  for (const c of WTP_SIZE_CLASSES) {
+    out[c.key] = { n: def.n, p: def.p, ...(def.byClass?.[c.key] || {}), ...(custom?.[c.key] || {}) };
+  }
+  return out;
+}
+
+/**
+ * WTP rows with kg_n_per_year / kg_p_per_year set to the recoverable supply;
+ * the gross load moves to gross_kg_n_per_year / gross_kg_p_per_year.
+ * `efficiencies` as returned by resolveEfficiencies.
+ */
+export function applyRecovery(rows, efficiencies, { label = "" } = {}) {
+  return (rows || []).map((r) => {
+    const cls = sizeClassFor(r.capacity_pe ?? r["Capacity (p.e)"]);
+    const e = efficiencies?.[cls] || { n: 1, p: 1 };
+    const grossN = Number(r.kg_n_per_year) || 0;
+    const grossP = Number(r.kg_p_per_year) || 0;
+    return {
+      ...r,
+      gross_kg_n_per_year: grossN,
+      gross_kg_p_per_year: grossP,
+      kg_n_per_year: grossN * e.n,
+      kg_p_per_year: grossP * e.p,
+      __sizeClass: cls,
+      ...(label ? { __recovery: label } : {}),
+    };
+  });
+}
@@ -0,0 +1,128 @@
+// src/utils/regionIndex.js
+// Compact NUTS-2 region index of all supply data, so the Splash and Compare
+// pages can list provinces without downloading every CSV.
+//
+// Built by scripts/build-region-index.mjs into public/data/region_index.json
+// (Vite regenerates it when a CSV in public/data changes), and by the data
+// worker from the raw CSVs when that file is missing.
+//
+// The index covers the enabled countries plus those of every pilot preset
+// (countries.scopeCandidateCountries); regionIndexLists narrows it to the
+// countries enabled at runtime, so switching a pilot on needs no rebuild.
+// A country enabled at runtime outside that set (`countries` override) is not
+// in the file: indexCoversScope tells the pages to build the index from the
+// CSVs instead.
+//
+// {
+//   countries: [country],                               // what the index covers
+//   datasets: [{ key, label }],                         // "wtp" first
+//   regions:  { [nuts2_id]: {
+//                 country, name,                       // canonical name (utils/nuts2Regions)
+//                 datasets: { [key]: { count, kgN, kgP } },
+//                 total: { count, kgN, kgP } } }
+// }
+//
+// Rows whose NUTS-2 region cannot be resolved are left out.
+
+import { ALLOWED_COUNTRIES, scopeCandidateCountries } from "./countries.js";
+import {
+  normalizeRowCountryProvince,
+  computeWtpKgN,
+  computeWtpKgP,
+  computeBuildingKgN,
+  computeBuildingKgP,
+  withColumnAliases,
+} from "./supplyRows.js";
+
+export const INDEX_VERSION = 3;
+
+const round = (v) => Math.round(v * 10) / 10;
+
+/**
+ * wtpRows     raw rows of the WTP CSV
+ * wtpColumns  column aliases of the WTP dataset (datasets.json)
+ * datasets    [{ key, label, columns, rows }] — raw rows of the point datasets
+ */
+export function buildRegionIndex({ wtpRows = [], wtpColumns = null, datasets = [] }) {
+  const regions = {};
+  const covered = scopeCandidateCountries();
+
+  const add = (raw, key, kgN, kgP) => {
+    const row = normalizeRowCountryProvince(raw);
+    if (!row.nuts2_id || !covered.has(row.country)) return;
+
+    const r =
+      regions[row.nuts2_id] ||
+      (regions[row.nuts2_id] = {
+        country: row.country,
+        name: row.province || row.nuts2_id,
+        datasets: {},
+        total: { count: 0, kgN: 0, kgP: 0 },
+      });
+
+    const s = r.datasets[key] || (r.datasets[key] = { count: 0, kgN: 0, kgP: 0 });
+    const n = kgN(row);
+    const ph = kgP(row);
+    s.count++;
+    s.kgN += n;
+    s.kgP += ph;
+    r.total.count++;
+    r.total.kgN += n;
+    r.total.kgP += ph;
+  };
+
+  for (const raw of wtpRows) add(withColumnAliases(raw, wtpColumns), "wtp", computeWtpKgN, computeWtpKgP);
+  for (const d of datasets) {
+    for (const raw of d.rows || []) {
+      const r = withColumnAliases(raw, d.columns);
+      add(r, d.key, (row) => computeBuildingKgN(d.key, row), (row) => computeBuildingKgP(d.key, row));
+    }
+  }
+
+  // Sorted keys and rounded numbers keep the generated file small and stable
+  const sorted = {};
+  for (const id of Object.keys(regions).sort()) {
+    const e = regions[id];
+    for (const s of [...Object.values(e.datasets), e.total]) {
+      s.kgN = round(s.kgN);
+      s.kgP = round(s.kgP);
+    }
+    sorted[id] = e;
+  }
+
+  return {
+    version: INDEX_VERSION,
+    countries: [...covered].sort((a, b) => a.localeCompare(b)),
+    datasets: [{ key: "wtp", label: "WTPs" }, ...datasets.map((d) => ({ key: d.key, label: d.label || d.key }))],
+    regions: sorted,
+  };
+}
+
+/**
+ * The lists the pages use, enabled countries only:
+ *   countries         sorted country names
+ *   regionsByCountry  { [country]: [nuts2_id] }
+ *   statsByNuts2      { [nuts2_id]: { country, province, count, kgN, kgP } }   // WTPs only
+ */
+export function regionIndexLists(index) {
+  const regionsByCountry = {};
+  const statsByNuts2 = {};
+  for (const [id, r] of Object.entries(index?.regions || {})) {
+    if (!ALLOWED_COUNTRIES.has(r.country)) continue;
+    (regionsByCountry[r.country] || (regionsByCountry[r.country] = [])).push(id);
+    const w = r.datasets.wtp;
+    if (w) statsByNuts2[id] = { country: r.country, province: r.name, count: w.count, kgN: w.kgN, kgP: w.kgP };
+  }
+  const countries = Object.keys(regionsByCountry).sort((a, b) => a.localeCompare(b));
+  return { countries, regionsByCountry, statsByNuts2 };
+}
+
+/** True when the index was built for every country enabled now. */
+export function indexCoversScope(index) {
+  const covered = new Set(index?.countries || []);
+  return [...ALLOWED_COUNTRIES].every((c) => covered.has(c));
+}
+
+export function isRegionIndex(j) {
+  return j?.version === INDEX_VERSION && j.regions && typeof j.regions === "object";
+}
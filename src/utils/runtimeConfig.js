@@ -0,0 +1,65 @@
+// src/utils/runtimeConfig.js
+// Deployment settings, resolved in this order:
+//   1. window.__P2G_CONFIG__   — public/config.js, editable after the build
+//   2. Vite env (VITE_*)       — .env / build environment
+//   3. the defaults below
+//
+//   overpassEndpoints  VITE_OVERPASS_ENDPOINTS  comma-separated interpreter URLs
+//   landuseSource      VITE_LANDUSE_SOURCE      "overpass" | "snapshot" | "auto"
+//   snapshotBaseUrl    VITE_LANDUSE_SNAPSHOT_URL  where landuse/<country>/<province>.geojson live
+//   countries          VITE_COUNTRIES           country names, replaces `enabled` of data/countries.json
+//   pilots             VITE_PILOTS              pilot ids of data/countries.json to enable as well
+
+const DEFAULT_OVERPASS_ENDPOINTS = [
+  "https://overpass-api.de/api/interpreter",
+  "https://z.overpass-api.de/api/interpreter",
+  "https://overpass.kumi.systems/api/interpreter", // no CORS from localhost — last resort
+];
+
+export const LANDUSE_SOURCES = ["overpass", "snapshot", "auto"];
+
+function runtime() {
+  return (typeof window !== "undefined" && window.__P2G_CONFIG__) || {};
+}
+
+function splitList(v) {
+  if (Array.isArray(v)) return v.map((s) => String(s).trim()).filter(Boolean);
+  return String(v || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function getOverpassEndpoints() {
+  const fromRuntime = splitList(runtime().overpassEndpoints);
+  if (fromRuntime.length) return fromRuntime;
+  const fromEnv = splitList(import.meta.env.VITE_OVERPASS_ENDPOINTS);
+  if (fromEnv.length) return fromEnv;
+  return DEFAULT_OVERPASS_ENDPOINTS;
+}
+
+/**
+ * "overpass" — always query Overpass (default)
+ * "snapshot" — only load pre-extracted GeoJSON from public/landuse (no network to OSM)
+ * "auto"     — use a snapshot when one exists for the province, else Overpass
+ */
+export function getLanduseSource() {
+  const v = String(runtime().landuseSource || import.meta.env.VITE_LANDUSE_SOURCE || "overpass").toLowerCase();
+  return LANDUSE_SOURCES.includes(v) ? v : "overpass";
+}
+
+export function getSnapshotBaseUrl() {
+  const v = runtime().snapshotBaseUrl || import.meta.env.VITE_LANDUSE_SNAPSHOT_URL || "/";
+  return v.endsWith("/") ? v : `${v}/`;
+}
+
+/* Country scope overrides — see utils/countryScope */
+export function getCountrySettings() {
+  const rt = runtime();
+  const countries = splitList(rt.countries);
+  const pilots = splitList(rt.pilots);
+  return {
+    countries: countries.length ? countries : splitList(import.meta.env.VITE_COUNTRIES),
+    pilots: pilots.length ? pilots : splitList(import.meta.env.VITE_PILOTS),
+  };
+}
@@ -0,0 +1,72 @@
+// src/utils/scenarioFacilities.js
+// What-if scenario: hypothetical source-separation facilities placed on the
+// map. A facility is stored as
+//
+//   { id, type, lat, lon, visitors, name }
+//
+// (type = dataset key). Its kg N/P are derived from the visitors / capacity
+// with the dataset's perVisitor rates (datasets.json), and it joins the
+// supply as a row of its dataset flagged __hypothetical.
+
+/* Datasets a facility can be placed for: those with perVisitor rates */
+export function placeableDatasets(datasets = []) {
+  return (datasets || []).filter((d) => d?.perVisitor);
+}
+
+/** { n, p } kg per year of `visitors` at a facility of dataset `d`. */
+export function kgForVisitors(d, visitors) {
+  const v = Math.max(0, Number(visitors) || 0);
+  return { n: v * (d?.perVisitor?.kgN || 0), p: v * (d?.perVisitor?.kgP || 0) };
+}
+
+let seq = 0;
+
+export function newScenarioFacility({ type, lat, lon, visitors = 0, name = "" }) {
+  seq += 1;
+  return { id: `h${Date.now().toString(36)}${seq}`, type, lat, lon, visitors: Number(visitors) || 0, name };
+}
+
+/** Stored facilities that still look valid (localStorage may hold anything). */
+export function cleanScenarioFacilities(list) {
+  return (Array.isArray(list) ? list : []).filter(
+    (f) => f?.id && f.type && Number.isFinite(f.lat) && Number.isFinite(f.lon)
+  );
+}
+
+/**
+ * Supply rows of the facilities, shaped like supplyRows.pointRowsFor output,
+ * grouped by dataset key. Facilities of unknown types are skipped.
+ */
+export function scenarioRowsByKey(facilities, datasets) {
+  const byKey = new Map((datasets || []).map((d) => [d.key, d]));
+  const out = {};
+  for (const f of facilities || []) {
+    const d = byKey.get(f.type);
+    if (!d?.perVisitor) continue;
+    const kg = kgForVisitors(d, f.visitors);
+    (out[d.key] || (out[d.key] = [])).push({
+      name: f.name || `New ${d.label.toLowerCase()}`,
+      lat: f.lat,
+      lon: f.lon,
+      __lat: f.lat,
+      __lon: f.lon,
+      __type: d.key,
+      __label: d.label,
+      ...(d.color ? { __color: d.color } : {}),
+      ...(d.icon ? { __icon: d.icon } : {}),
+      __hypothetical: f.id,
+      visitors: f.visitors,
+      kg_n_per_year: kg.n,
+      kg_p_per_year: kg.p,
+    });
+  }
+  return out;
+}
+
+/** Rows by key of the datasets plus the hypothetical ones (appended). */
+export function withScenarioRows(byKey, scenarioByKey) {
+  if (!Object.keys(scenarioByKey || {}).length) return byKey || {};
+  const out = { ...(byKey || {}) };
+  for (const [k, rows] of Object.entries(scenarioByKey)) out[k] = [...(out[k] || []), ...rows];
+  return out;
+}
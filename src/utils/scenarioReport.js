@@ -0,0 +1,203 @@
+// src/utils/scenarioReport.js
+// Supply-vs-demand "scenario" report: what the dashboard shows for the current
+// province / radius / toggles, as JSON, CSV and a printable HTML page.
+
+import { slugify } from "./overpassQuery";
+
+const pct = (supply, demand) => (demand > 0 ? (supply / demand) * 100 : null);
+
+/**
+ * Assembles the report object.
+ *
+ *   sources  [{ key, label, enabled, radiusKm, count, kgN, kgP }] (WTP first;
+ *            hypothetical: how many of count are what-if facilities)
+ *   landuse  [{ type, label, enabled, areaM2, demandN, demandP, rateN, rateP }]
+ *   supply   { wtp: { n, p }, sourceSeparation: { n, p }, total: { n, p } }
+ *            (wtp / total also grossN, grossP: the load before WTP recovery)
+ *   recovery { pathway, label } of the WTP recovery model, or null
+ *   demand   { n, p, areaM2 }
+ */
+export function buildScenarioReport({
+  country,
+  province,
+  radiusKm,
+  demandMode = "circles",
+  sources = [],
+  landuse = [],
+  supply,
+  demand,
+  recovery = null,
+  url = "",
+}) {
+  const coverage = {};
+  for (const [k, s] of Object.entries(supply || {})) {
+    coverage[k] = { n: pct(s.n, demand?.n || 0), p: pct(s.p, demand?.p || 0) };
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    url,
+    country,
+    province,
+    radiusKm,
+    demandMode,
+    sources,
+    landuse,
+    recovery,
+    supply,
+    demand,
+    coverage,
+  };
+}
+
+export function reportFilename(report, ext) {
+  const date = report.generatedAt.slice(0, 10);
+  return `p2green_${slugify(report.country)}_${slugify(report.province)}_${report.radiusKm}km_${date}.${ext}`;
+}
+
+export function reportToJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+const sourceLabel = (s) => (s.hypothetical ? `${s.label} (incl. ${s.hypothetical} hypothetical)` : s.label);
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = typeof v === "number" ? String(Math.round(v * 1000) / 1000) : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * One flat table so it opens cleanly in a spreadsheet:
+ * section, item, enabled, count, radius_km, area_km2, kg_n, kg_p, coverage_n_pct, coverage_p_pct
+ * (radius_km on source rows: that type's demand radius, before any scaling by output)
+ */
+export function reportToCsv(report) {
+  const header = [
+    "section",
+    "item",
+    "enabled",
+    "count",
+    "radius_km",
+    "area_km2",
+    "kg_n",
+    "kg_p",
+    "coverage_n_pct",
+    "coverage_p_pct",
+  ];
+  const rows = [
+    ["scenario", "country", report.country, "", "", "", "", "", "", ""],
+    ["scenario", "province", report.province, "", "", "", "", "", "", ""],
+    ["scenario", "radius_km", report.radiusKm, "", "", "", "", "", "", ""],
+    ["scenario", "demand_area", report.demandMode || "circles", "", "", "", "", "", "", ""],
+  ];
+  if (report.recovery) rows.push(["scenario", "wtp_recovery", report.recovery.label, "", "", "", "", "", "", ""]);
+
+  for (const s of report.sources) {
+    const radius = s.radiusKm ?? report.radiusKm;
+    rows.push(["source", sourceLabel(s), s.enabled ? "yes" : "no", s.count, radius, "", s.kgN, s.kgP, "", ""]);
+  }
+  for (const l of report.landuse) {
+    rows.push(["landuse", l.label, l.enabled ? "yes" : "no", "", "", l.areaM2 / 1e6, l.demandN, l.demandP, "", ""]);
+  }
+  rows.push(["demand", "total", "", "", "", report.demand.areaM2 / 1e6, report.demand.n, report.demand.p, "", ""]);
+
+  const names = { wtp: "waste water treatment plants", sourceSeparation: "source separation", total: "total" };
+  for (const [k, s] of Object.entries(report.supply)) {
+    const c = report.coverage[k] || {};
+    rows.push(["supply", names[k] || k, "", "", "", "", s.n, s.p, c.n, c.p]);
+    if (s.grossN != null) rows.push(["gross_load", names[k] || k, "", "", "", "", s.grossN, s.grossP, "", ""]);
+  }
+
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+const esc = (s) =>
+  String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+const num = (v, digits = 1) => (v == null ? "–" : Number(v).toLocaleString(undefined, { maximumFractionDigits: digits }));
+
+export function reportToHtml(report) {
+  const srcRows = report.sources
+    .map(
+      (s) =>
+        `<tr class="${s.enabled ? "" : "off"}"><td>${esc(sourceLabel(s))}</td><td>${s.enabled ? "✓" : ""}</td><td>${num(
+          s.radiusKm ?? report.radiusKm,
+          2
+        )}</td><td>${num(s.count, 0)}</td><td>${num(s.kgN)}</td><td>${num(s.kgP)}</td></tr>`
+    )
+    .join("");
+
+  const luRows = report.landuse
+    .map(
+      (l) =>
+        `<tr class="${l.enabled ? "" : "off"}"><td>${esc(l.label)}</td><td>${l.enabled ? "✓" : ""}</td><td>${num(
+          l.areaM2 / 1e6,
+          2
+        )}</td><td>${num(l.rateN, 0)} / ${num(l.rateP, 0)}</td><td>${num(l.demandN)}</td><td>${num(l.demandP)}</td></tr>`
+    )
+    .join("");
+
+  const names = { wtp: "Waste water treatment plants", sourceSeparation: "Source separation", total: "Total" };
+  const covRows = Object.entries(report.supply)
+    .map(([k, s]) => {
+      const c = report.coverage[k] || {};
+      const gross = s.grossN != null ? ` <span class="meta">(gross ${num(s.grossN)} / ${num(s.grossP)})</span>` : "";
+      return `<tr><td>${names[k] || esc(k)}${gross}</td><td>${num(s.n)}</td><td>${num(c.n)} %</td><td>${num(
+        s.p
+      )}</td><td>${num(c.p)} %</td></tr>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8" />
+<title>P2GreeN scenario — ${esc(report.province)}, ${esc(report.country)}</title>
+<style>
+  body { font-family: ui-monospace, Menlo, Consolas, monospace; color: #1f33ff; margin: 32px; font-size: 12px; }
+  h1 { font-size: 18px; font-weight: 500; } h2 { font-size: 14px; font-weight: 500; margin-top: 24px; }
+  table { border-collapse: collapse; min-width: 480px; }
+  th, td { padding: 4px 10px; border-bottom: 1px solid #dde; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  tr.off { opacity: 0.45; }
+  .meta { color: #444; }
+  @media print { body { margin: 12mm; } }
+</style></head><body>
+<h1>Fertilizer supply vs demand — ${esc(report.province)}, ${esc(report.country)}</h1>
+<div class="meta">${
+    report.demandMode === "area"
+      ? "Custom demand area"
+      : report.demandMode === "province"
+      ? "Whole province"
+      : `Demand radius ${num(report.radiusKm, 2)} km`
+  }${report.recovery ? ` · WTP recovery: ${esc(report.recovery.label)}` : ""} · generated ${esc(
+    report.generatedAt.replace("T", " ").slice(0, 16)
+  )} UTC${
+    report.url ? ` · <a href="${esc(report.url)}">${esc(report.url)}</a>` : ""
+  }</div>
+
+<h2>Supply sources</h2>
+<table><thead><tr><th>Source</th><th>On</th><th>Radius km</th><th>Count</th><th>kg N/yr</th><th>kg P/yr</th></tr></thead><tbody>${srcRows}</tbody></table>
+
+<h2>Agricultural land (demand)</h2>
+<table><thead><tr><th>Landuse</th><th>On</th><th>Area km²</th><th>kg N / kg P per ha</th><th>kg N/yr</th><th>kg P/yr</th></tr></thead>
+<tbody>${luRows}<tr><td><strong>Total</strong></td><td></td><td>${num(report.demand.areaM2 / 1e6, 2)}</td><td></td><td>${num(
+    report.demand.n
+  )}</td><td>${num(report.demand.p)}</td></tr></tbody></table>
+
+<h2>Coverage</h2>
+<table><thead><tr><th>Supply</th><th>kg N/yr</th><th>N coverage</th><th>kg P/yr</th><th>P coverage</th></tr></thead><tbody>${covRows}</tbody></table>
+</body></html>`;
+}
+
+/** Saves text as a file via a temporary object URL. */
+export function downloadText(filename, text, mime = "text/plain") {
+  const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
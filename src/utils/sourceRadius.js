@@ -0,0 +1,49 @@
+// src/utils/sourceRadius.js
+// Demand radius per supply point.
+//
+// Each source type (dataset key, "wtp" for treatment plants) can have its own
+// radius; types without one use the global radius. With "scale by output" a
+// facility's radius grows with the square root of its kg N relative to the
+// median facility of the same type — so the circle *area* is roughly
+// proportional to what it produces — clamped to [MIN_SCALE, MAX_SCALE] × base.
+
+export const MIN_SCALE = 0.25;
+export const MAX_SCALE = 4;
+
+function median(values) {
+  if (!values.length) return 0;
+  const s = [...values].sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+/** Base radius of a source type: its own override, else the global radius. */
+export function baseRadiusFor(kind, { radiusKm = 0, sourceRadii = {} } = {}) {
+  const own = Number(sourceRadii?.[kind]);
+  return Number.isFinite(own) && own >= 0 ? own : Number(radiusKm) || 0;
+}
+
+/**
+ * Returns copies of `points` ({ kind, kgN, ... }) with `radiusKm` set.
+ * opts { radiusKm, sourceRadii: { [kind]: km }, scaleByOutput }
+ */
+export function withSourceRadii(points = [], { radiusKm = 0, sourceRadii = {}, scaleByOutput = false } = {}) {
+  const refByKind = {};
+  if (scaleByOutput) {
+    const byKind = {};
+    for (const p of points) {
+      const n = Number(p.kgN) || 0;
+      if (n > 0) (byKind[p.kind] ||= []).push(n);
+    }
+    for (const [k, vals] of Object.entries(byKind)) refByKind[k] = median(vals);
+  }
+
+  return points.map((p) => {
+    const base = baseRadiusFor(p.kind, { radiusKm, sourceRadii });
+    const ref = refByKind[p.kind];
+    if (!scaleByOutput || !ref) return { ...p, radiusKm: base };
+
+    const f = Math.sqrt((Number(p.kgN) || 0) / ref);
+    return { ...p, radiusKm: base * Math.min(MAX_SCALE, Math.max(MIN_SCALE, f)) };
+  });
+}
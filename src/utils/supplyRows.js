@@ -0,0 +1,155 @@
+// src/utils/supplyRows.js
+// Row pipeline for the supply CSVs: country normalization, the NUTS-2 region
+// of each row (utils/nuts2Regions), the region filter and kg N/P per row.
+// Pure functions, shared by the data worker (see workers/dataTasks) and the
+// Node build scripts.
+
+import { normalizeCountry } from "./countries.js";
+import { normalizeProvinceName } from "./provinces.js";
+import { resolveNuts2, nuts2Region } from "./nuts2Regions.js";
+import { toNum, pick, parseLatLon } from "./csvRows.js";
+import { applyColumnMapping } from "./columnMapping.js";
+import { GROSS_LOAD_PER_PE } from "./recoveryModel.js";
+
+/**
+ * Copies aliased columns to their canonical name, e.g. with
+ * { kg_n_per_year: ["N kg/per year"] } the row gains kg_n_per_year. Columns
+ * already present under the canonical name win. See datasetRegistry.
+ */
+export function withColumnAliases(row, columns) {
+  if (!columns) return row;
+  let out = row;
+  for (const [canonical, aliases] of Object.entries(columns)) {
+    if (out[canonical] != null && String(out[canonical]).trim() !== "") continue;
+    const v = pick(row, aliases);
+    if (v == null) continue;
+    if (out === row) out = { ...row };
+    out[canonical] = v;
+  }
+  return out;
+}
+
+// Gross load of a WTP: capacity × GROSS_LOAD_PER_PE, else the CSV's kg column
+// (plants listed without a capacity). Recovery is applied on top, see
+// utils/recoveryModel.
+function wtpCapacityPe(row) {
+  const pe = toNum(pick(row, ["capacity_pe", "Capacity (p.e)"]));
+  return pe != null && pe > 0 ? pe : null;
+}
+
+export function computeWtpKgN(row) {
+  const pe = wtpCapacityPe(row);
+  if (pe != null) return pe * GROSS_LOAD_PER_PE.n;
+  return toNum(pick(row, ["N kg/per year", "N kg/per year ", "kg_n_per_year", "n_kg_per_year"])) || 0;
+}
+
+export function computeWtpKgP(row) {
+  const pe = wtpCapacityPe(row);
+  if (pe != null) return pe * GROSS_LOAD_PER_PE.p;
+  return toNum(pick(row, ["P kg/per year", "P kg/per year ", "kg_p_per_year", "p_kg_per_year"])) || 0;
+}
+
+export function computeBuildingKgN(_datasetKey, row) {
+  return toNum(pick(row, ["kg_n_per_year", "n_kg_per_year", "output", "production"])) || 0;
+}
+
+export function computeBuildingKgP(_datasetKey, row) {
+  return toNum(pick(row, ["kg_p_per_year", "p_kg_per_year", "P kg/per year", "Kg P/year"])) || 0;
+}
+
+/**
+ * Adds the normalized country and the row's NUTS-2 region: nuts2_id (see
+ * nuts2Regions.resolveNuts2, "" when unresolved) and province, the region's
+ * canonical name. Name and coordinate lookups stay within the country
+ * column, so only an explicit NUTS-2 code can change a known country.
+ */
+export function normalizeRowCountryProvince(row) {
+  const countryRaw =
+    pick(row, ["country", "Country"]) ??
+    pick(row, ["country_code", "Country_code", "Country Code", "countryCode"]) ??
+    "";
+
+  const provinceRaw = pick(row, ["province", "Province", "nuts2", "NUTS2"]) ?? "";
+
+  let country = normalizeCountry(countryRaw);
+  const nuts2_id = resolveNuts2(row, country);
+  const region = nuts2Region(nuts2_id);
+  if (region) country = region.country;
+  else if (!country && nuts2_id) country = normalizeCountry(nuts2_id.slice(0, 2));
+
+  const province = region ? region.name : normalizeProvinceName(provinceRaw);
+
+  return { ...row, country, province, nuts2_id };
+}
+
+// Row filter of `nuts2`: one region code, or an array of them (the Compare
+// page loads all its regions from one pass over each CSV)
+function inRegions(nuts2) {
+  if (!Array.isArray(nuts2)) return (r) => r.nuts2_id === nuts2;
+  const codes = new Set(nuts2);
+  return (r) => codes.has(r.nuts2_id);
+}
+
+/**
+ * WTP rows of a NUTS-2 region (or an array of regions) with coordinates
+ * (__lat/__lon) and kg_n_per_year / kg_p_per_year. Rows without a location
+ * are dropped. `columns` are the manifest's column aliases of the WTP dataset.
+ */
+export function wtpRowsFor(raw, { nuts2, columns = null }) {
+  return raw
+    .map((r) => withColumnAliases(r, columns))
+    .map(normalizeRowCountryProvince)
+    .filter(inRegions(nuts2))
+    .map((r) => {
+      const { lat, lon } = parseLatLon(r);
+      if (lat == null || lon == null) return null;
+      return {
+        ...r,
+        __lat: lat,
+        __lon: lon,
+        kg_n_per_year: computeWtpKgN(r),
+        kg_p_per_year: computeWtpKgP(r),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Rows of one generic point dataset ({ key, label, color?, icon?, columns?,
+ * mapping? }) in a NUTS-2 region (or an array of regions), tagged with
+ * __type/__label/__color/__icon and lat/lon.
+ */
+export function pointRowsFor(raw, d, { nuts2 }) {
+  return raw
+    .map((r) => (d.mapping ? applyColumnMapping(r, d.mapping) : r))
+    .map((r) => withColumnAliases(r, d.columns))
+    .map(normalizeRowCountryProvince)
+    .filter(inRegions(nuts2))
+    .map((r) => {
+      const { lat, lon } = parseLatLon(r);
+      if (lat == null || lon == null) return null;
+
+      const kg = computeBuildingKgN(d.key, r);
+      const kgP = computeBuildingKgP(d.key, r);
+
+      return {
+        ...r,
+        lat,
+        lon,
+        __lat: lat,
+        __lon: lon,
+        __type: d.key,
+        __label: d.label || d.key,
+        ...(d.color ? { __color: d.color } : {}),
+        ...(d.icon ? { __icon: d.icon } : {}),
+        kg_n_per_year: kg,
+        kg_p_per_year: kgP,
+        name:
+          pick(r, ["name", "Name", "facility_name", "Facility", "Airport", "University"]) ||
+          r.name ||
+          r.Name ||
+          "",
+      };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,139 @@
+// src/utils/workerClient.js
+// Main-thread side of the data worker (workers/dataWorker.js).
+//
+// runDataTask(type, payload, { signal, onProgress }) resolves with the task
+// result; aborting the signal cancels the task and rejects with an
+// AbortError, like fetch. One shared worker serves the whole app. Without
+// Web Worker support the tasks run on the main thread instead.
+//
+// Progress of all running tasks is also kept in a small store so any
+// component can show it (see hooks/useDataProgress).
+
+import { getCountryScope } from "./countries";
+import { getNuts2Regions } from "./nuts2Regions";
+
+let worker = null; // Worker | false (unsupported / crashed)
+let nextId = 1;
+const pending = new Map(); // id -> { resolve, reject, onProgress, run }
+
+/* ---------------- progress store ---------------- */
+
+let running = []; // [{ id, label, done, total }]
+const listeners = new Set();
+
+function setRunning(next) {
+  running = next;
+  listeners.forEach((fn) => fn());
+}
+
+function updateProgress(id, progress) {
+  setRunning(running.map((t) => (t.id === id ? { id, ...progress } : t)));
+}
+
+export function subscribeDataProgress(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function getDataProgress() {
+  return running;
+}
+
+/* ---------------- worker ---------------- */
+
+function abortError() {
+  return new DOMException("Aborted", "AbortError");
+}
+
+function settle(id, fn) {
+  const p = pending.get(id);
+  if (!p) return;
+  pending.delete(id);
+  setRunning(running.filter((t) => t.id !== id));
+  fn(p);
+}
+
+function getWorker() {
+  if (worker !== null) return worker;
+  try {
+    worker = new Worker(new URL("../workers/dataWorker.js", import.meta.url), { type: "module" });
+  } catch {
+    worker = false;
+    return worker;
+  }
+
+  worker.onmessage = (e) => {
+    const { id, progress, result, error } = e.data || {};
+    if (progress) {
+      updateProgress(id, progress);
+      pending.get(id)?.onProgress?.(progress);
+    } else if (error) {
+      settle(id, (p) => p.reject(error.name === "AbortError" ? abortError() : new Error(error.message)));
+    } else {
+      settle(id, (p) => p.resolve(result));
+    }
+  };
+
+  // A worker that fails to load or crashes is dropped; its tasks rerun inline
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    worker.terminate();
+    worker = false;
+    for (const p of [...pending.values()]) p.run();
+  };
+
+  return worker;
+}
+
+async function runInline(id, type, payload, signal) {
+  const { runTask } = await import("../workers/dataTasks.js");
+  const progress = (label, done, total) => {
+    updateProgress(id, { label, done, total });
+    pending.get(id)?.onProgress?.({ label, done, total });
+  };
+  return runTask(type, payload, { signal, progress });
+}
+
+// Relative URLs are resolved against the page — the worker's base is its own script
+function absoluteUrls(payload) {
+  const abs = (u) => (u ? new URL(u, globalThis.location?.href).href : u);
+  const out = { ...payload };
+  if (out.url) out.url = abs(out.url);
+  if (out.wtpCsvUrl) out.wtpCsvUrl = abs(out.wtpCsvUrl);
+  if (out.outlinesUrl) out.outlinesUrl = abs(out.outlinesUrl);
+  for (const k of ["datasets", "extraDatasets", "facilityLists"]) {
+    if (Array.isArray(out[k])) out[k] = out[k].map((d) => ({ ...d, url: abs(d.url) }));
+  }
+  return out;
+}
+
+export function runDataTask(type, payload = {}, { signal, onProgress } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  const id = nextId++;
+  const data = absoluteUrls(payload);
+
+  return new Promise((resolve, reject) => {
+    const run = () =>
+      runInline(id, type, data, signal ?? new AbortController().signal).then(
+        (result) => settle(id, (p) => p.resolve(result)),
+        (err) => settle(id, (p) => p.reject(err))
+      );
+
+    pending.set(id, { resolve, reject, onProgress, run });
+    setRunning([...running, { id, label: "", done: 0, total: 0 }]);
+
+    signal?.addEventListener(
+      "abort",
+      () => {
+        if (worker) worker.postMessage({ id, cancel: true });
+        settle(id, (p) => p.reject(abortError()));
+      },
+      { once: true }
+    );
+
+    const w = getWorker();
+    if (w) w.postMessage({ id, type, payload: data, scope: getCountryScope(), regions: getNuts2Regions() });
+    else run();
+  });
+}
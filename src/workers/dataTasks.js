@@ -0,0 +1,181 @@
+// src/workers/dataTasks.js
+// The heavy data steps of the app as plain async functions: CSV download +
+// parsing + normalization, the landuse polygon filter and the supply allocation. They run inside
+// dataWorker.js; utils/workerClient falls back to calling them directly when
+// Web Workers are unavailable.
+//
+// Every task is (payload, { signal, progress }) => result, where
+// progress(label, done, total) reports how far it got.
+
+import Papa from "papaparse";
+import osmtogeojson from "osmtogeojson";
+import { wtpRowsFor, pointRowsFor } from "../utils/supplyRows.js";
+import { buildRegionIndex, regionIndexLists } from "../utils/regionIndex.js";
+import { keptLanduseFeatures } from "../utils/landuseGeometry.js";
+import { hasNuts2Outlines, setNuts2Outlines } from "../utils/nuts2Regions.js";
+import { facilityListRows, withListedSites } from "../utils/facilityLists.js";
+import { allocateSupply as allocate } from "../utils/allocation.js";
+
+const PARSE_CHUNK = 256 * 1024;
+
+const fileName = (url) => decodeURIComponent(String(url).split("?")[0].split("/").pop() || url);
+
+async function fetchCsv(url, { signal, progress }) {
+  const name = fileName(url);
+  progress(`Downloading ${name}`, 0, 0);
+
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`Failed to load CSV: ${name} (${res.status})`);
+  const text = await res.text();
+
+  const rows = [];
+  Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: false,
+    chunkSize: PARSE_CHUNK,
+    chunk: (results) => {
+      for (const r of results.data) if (r && Object.keys(r).length) rows.push(r);
+      progress(`Parsing ${name}`, results.meta.cursor, text.length);
+    },
+  });
+  return rows;
+}
+
+let outlinesPromise = null;
+
+// NUTS-2 outlines for rows that only carry coordinates — loaded once; without
+// them such rows stay unresolved
+function ensureOutlines(url) {
+  if (!url || hasNuts2Outlines()) return Promise.resolve();
+  if (!outlinesPromise) {
+    outlinesPromise = fetch(url)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((fc) => {
+        if (fc?.type === "FeatureCollection") setNuts2Outlines(fc);
+      })
+      .catch(() => {});
+  }
+  return outlinesPromise;
+}
+
+/*
+ * Rows of the hand-researched facility lists (see utils/facilityLists) by
+ * dataset key. A list that fails to load is left out.
+ */
+async function facilityLists(lists, ctx) {
+  const byKey = {};
+  for (const l of lists || []) {
+    try {
+      facilityListRows(await fetchCsv(l.url, ctx), l, byKey);
+    } catch {
+      if (ctx.signal.aborted) throw new DOMException("Aborted", "AbortError");
+    }
+  }
+  return byKey;
+}
+
+/* WTP rows of a NUTS-2 region — see useLocationGroup */
+async function wtpRows({ url, columns, nuts2, outlinesUrl }, ctx) {
+  const [raw] = await Promise.all([fetchCsv(url, ctx), ensureOutlines(outlinesUrl)]);
+  return wtpRowsFor(raw, { nuts2, columns });
+}
+
+/*
+ * Rows of several point datasets, { [key]: rows }, with the sites of the
+ * facility lists merged into their layer. A failing user upload yields []
+ * instead of failing the built-in layers with it.
+ */
+async function pointRows({ datasets, facilityLists: lists, nuts2, outlinesUrl }, ctx) {
+  const [listed] = await Promise.all([facilityLists(lists, ctx), ensureOutlines(outlinesUrl)]);
+  const entries = await Promise.all(
+    (datasets || []).map(async (d) => {
+      let raw;
+      try {
+        raw = await fetchCsv(d.url, ctx);
+      } catch (e) {
+        if (!d.uploaded || ctx.signal.aborted) throw e;
+        return [d.key, []];
+      }
+      const rows = pointRowsFor(raw, d, { nuts2 });
+      if (!listed[d.key] || d.uploaded) return [d.key, rows];
+      return [d.key, withListedSites(rows, pointRowsFor(listed[d.key], d, { nuts2 }))];
+    })
+  );
+  return Object.fromEntries(entries);
+}
+
+/*
+ * Region index built from the raw CSVs (see utils/regionIndex) plus its
+ * lists — the fallback when public/data/region_index.json is missing.
+ */
+async function countryProvinceIndex({ wtpCsvUrl, wtpColumns, extraDatasets, facilityLists: lists, outlinesUrl }, ctx) {
+  await ensureOutlines(outlinesUrl);
+  const wtpRows = wtpCsvUrl ? await fetchCsv(wtpCsvUrl, ctx) : [];
+  const listed = await facilityLists(lists, ctx);
+
+  const datasets = [];
+  for (const d of extraDatasets || []) {
+    try {
+      const rows = await fetchCsv(d.url, ctx);
+      datasets.push({ key: d.key, label: d.label, columns: d.columns, rows: withListedSites(rows, listed[d.key]) });
+    } catch {
+      if (ctx.signal.aborted) throw new DOMException("Aborted", "AbortError");
+      // ignore extras failing; menu should still work
+    }
+  }
+
+  const index = buildRegionIndex({ wtpRows, wtpColumns, datasets });
+  return { ...regionIndexLists(index), index };
+}
+
+/* Raw Overpass JSON text -> GeoJSON */
+async function overpassToGeojson({ text }, { progress }) {
+  progress("Converting landuse", 0, 0);
+  return osmtogeojson(JSON.parse(text));
+}
+
+/*
+ * Checkpoint for long loops: every ~50 ms it lets the worker take its next
+ * message (a cancel sets `signal.aborted`), then throws if aborted.
+ */
+function checkpoint(signal) {
+  let last = Date.now();
+  return async () => {
+    if (Date.now() - last >= 50) {
+      await new Promise((r) => setTimeout(r, 0));
+      last = Date.now();
+    }
+    if (signal.aborted) throw new DOMException("Aborted", "AbortError");
+  };
+}
+
+/* Polygons counting toward demand, with area — see landuseGeometry.keptLanduseFeatures */
+async function filterLanduse({ geojson, ...opts }, { signal, progress }) {
+  const check = checkpoint(signal);
+  return keptLanduseFeatures(geojson, opts, async (done, total) => {
+    progress("Filtering landuse", done, total);
+    await check();
+  });
+}
+
+/*
+ * Supply allocation — see utils/allocation. Only the plots' properties go
+ * back: the caller already has their geometry.
+ */
+async function allocateSupply({ sources, plots, radiusKm, rates }, { signal, progress }) {
+  const check = checkpoint(signal);
+  const { features, summary } = await allocate(sources, plots, { radiusKm, rates }, async (done, total) => {
+    progress("Allocating supply", done, total);
+    await check();
+  });
+  return { props: features.map((f) => f.properties), summary };
+}
+
+export const TASKS = { wtpRows, pointRows, countryProvinceIndex, overpassToGeojson, filterLanduse, allocateSupply };
+
+export async function runTask(type, payload, ctx) {
+  const task = TASKS[type];
+  if (!task) throw new Error(`Unknown data task: ${type}`);
+  return task(payload, ctx);
+}
@@ -0,0 +1,47 @@
+// src/workers/dataWorker.js
+// Web Worker entry: runs the tasks of dataTasks.js off the main thread.
+//
+//   in:  { id, type, payload, scope, regions }  |  { id, cancel: true }
+//        scope: the page's country configuration (utils/countries)
+//        regions: its NUTS-2 region table (utils/nuts2Regions)
+//   out: { id, progress: { label, done, total } }  |  { id, result }  |  { id, error }
+
+import { runTask } from "./dataTasks.js";
+import { setCountryScope } from "../utils/countries.js";
+import { setNuts2Regions } from "../utils/nuts2Regions.js";
+
+const PROGRESS_EVERY_MS = 100;
+
+const controllers = new Map();
+
+self.onmessage = async (e) => {
+  const { id, type, payload, scope, regions, cancel } = e.data || {};
+
+  if (cancel) {
+    controllers.get(id)?.abort();
+    return;
+  }
+
+  if (scope) setCountryScope(scope);
+  if (regions) setNuts2Regions(regions);
+
+  const controller = new AbortController();
+  controllers.set(id, controller);
+
+  let last = 0;
+  const progress = (label, done, total) => {
+    const now = Date.now();
+    if (now - last < PROGRESS_EVERY_MS && done < total) return;
+    last = now;
+    self.postMessage({ id, progress: { label, done, total } });
+  };
+
+  try {
+    const result = await runTask(type, payload, { signal: controller.signal, progress });
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: { name: err?.name || "Error", message: err?.message || String(err) } });
+  } finally {
+    controllers.delete(id);
+  }
+};
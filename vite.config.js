@@ -1,7 +1,46 @@
+import path from 'node:path';
 import react from '@vitejs/plugin-react';
+import { writeRegionIndex } from './scripts/build-region-index.mjs';
+
+// Keeps public/data/region_index.json in step with the CSVs and the JSON inputs next to it
+// (and the facility lists in public/)
+function regionIndex() {
+  const JSON_INPUTS = ['datasets.json', 'countries.json', 'nuts2_regions.json', 'nuts2.geojson'];
+  const dataDir = path.resolve('public/data');
+  const publicDir = path.resolve('public');
+  const rebuild = (logger) =>
+    writeRegionIndex()
+      .then(({ changed, regions }) => {
+        if (changed) logger?.info(`region index: ${regions} provinces`, { timestamp: true });
+      })
+      .catch((e) => logger?.error(`region index: ${e.message}`));
+
+  return {
+    name: 'region-index',
+    buildStart() {
+      return rebuild(null);
+    },
+    configureServer(server) {
+      const onFile = (file) => {
+        const dir = path.dirname(file);
+        if (dir === publicDir && file.endsWith('.csv')) return rebuild(server.config.logger);
+        if (dir !== dataDir) return;
+        if (file.endsWith('.csv') || JSON_INPUTS.includes(path.basename(file))) rebuild(server.config.logger);
+      };
+      server.watcher.add([
+        path.join(dataDir, '*.csv'),
+        path.join(publicDir, '*.csv'),
+        ...JSON_INPUTS.map((f) => path.join(dataDir, f)),
+      ]);
+      server.watcher.on('add', onFile);
+      server.watcher.on('change', onFile);
+      server.watcher.on('unlink', onFile);
+    },
+  };
+}
 
 export default {
-  plugins: [react()],
+  plugins: [react(), regionIndex()],
   base: './',
   build: {
     rollupOptions: {